@@ -0,0 +1,79 @@
+/**
+ * Vercel Serverless API - Average Prices
+ *
+ * GET /api/averages?product=carbonate&months=6&from=2026-07-01&to=2026-09-30&vat=excl
+ *
+ * - product: a catalog product or GFEX contract code (default: every catalog product)
+ * - months:  number of calendar months, newest first (default 6, at most 36)
+ * - from/to: inclusive YYYY-MM-DD bounds of an optional custom window
+ * - vat:     incl (default) or excl
+ *
+ * Returns { vat, products: { [id]: { months, quarterToDate, custom } } } with
+ * simple and trading-day weighted averages in USD and CNY, over trading days
+ * only, and the number of days behind each currency (lib/priceAverages.js). `custom` is null unless
+ * from and to are given.
+ */
+
+import { readSnapshot } from '../lib/priceStore.js';
+import { readHistoryWithCurrent } from '../lib/priceHistory.js';
+import { getProductSeries, isKnownProduct, seriesOnBasis } from '../lib/historySeries.js';
+import { averagePrices, monthlyAverages, quarterToDate } from '../lib/priceAverages.js';
+import { PRODUCT_IDS } from '../lib/products.js';
+import { VAT_BASES } from '../lib/vat.js';
+import { isCalendarDate } from '../lib/tradingCalendar.js';
+
+const MAX_MONTHS = 36;
+
+/**
+ * Validate query parameters, returning an error message or null
+ */
+function validateQuery({ product, months, from, to, vat }) {
+    if (product && !isKnownProduct(product)) return `Unknown product: ${product}`;
+    if (!(months >= 1 && months <= MAX_MONTHS)) return `Invalid months (expected 1 to ${MAX_MONTHS})`;
+    if (Boolean(from) !== Boolean(to)) return 'A custom window needs both from and to';
+    if (from && !isCalendarDate(from)) return 'Invalid from date (expected YYYY-MM-DD)';
+    if (to && !isCalendarDate(to)) return 'Invalid to date (expected YYYY-MM-DD)';
+    if (from && to && from > to) return 'from must not be after to';
+    if (!VAT_BASES.includes(vat)) return `Invalid vat (expected ${VAT_BASES.join(', ')})`;
+    return null;
+}
+
+export default function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    const query = {
+        product: req.query?.product || null,
+        months: req.query?.months ? Number(req.query.months) : 6,
+        from: req.query?.from || null,
+        to: req.query?.to || null,
+        vat: req.query?.vat || 'incl',
+    };
+
+    const error = validateQuery(query);
+    if (error) return res.status(400).json({ error });
+
+    let records;
+    try {
+        records = readHistoryWithCurrent(readSnapshot('current'));
+    } catch (err) {
+        console.error('Error reading price history:', err);
+        return res.status(503).json({ error: 'Price history unavailable' });
+    }
+
+    const products = query.product ? [query.product] : PRODUCT_IDS;
+    return res.status(200).json({
+        vat: query.vat,
+        products: Object.fromEntries(products.map(product => {
+            const series = seriesOnBasis(getProductSeries(records, product), product, query.vat);
+            return [product, {
+                months: monthlyAverages(series, query.months),
+                quarterToDate: quarterToDate(series),
+                custom: query.from ? averagePrices(series, query.from, query.to) : null,
+            }];
+        })),
+    });
+}
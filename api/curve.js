@@ -0,0 +1,141 @@
+/**
+ * Vercel Serverless API - Futures Curve
+ *
+ * GET /api/curve?date=2026-10-12&vat=excl
+ *
+ * The curve as it stood on a date:
+ * - date: YYYY-MM-DD; the curve is the latest daily record on or before it
+ *         (so a weekend or holiday returns the session before)
+ * - vat:  incl (default) or excl
+ *
+ * Returns { requested, date, vat, spot: { usd, cny }, futures: [{ contract, usd, cny }], rates },
+ * converted at the FX rate recorded with that day; `rates` is that day's
+ * rate table for the other display currencies (as in /api/prices). Contracts are as listed
+ * that day, expired ones included; clients align them with today's curve
+ * by contract code. 404 when the history does not reach back to the date.
+ *
+ * GET /api/curve?delivery=2027-03-15,2027-06-30&method=monotone&vat=excl
+ *
+ * Forward prices for delivery dates on today's curve (lib/forwardCurve.js):
+ * - delivery: one or more YYYY-MM-DD dates, from the session date on, comma
+ *             separated or as repeated params
+ * - method:   linear (default) or monotone
+ *
+ * Returns { vat, method, session, nodes, points: [{ date, price, priceCNY,
+ * extrapolated, from, to }] }. `nodes` are the dated USD prices interpolated
+ * between; dates past the last contract are held at its price and marked
+ * `extrapolated`.
+ */
+
+import { readSnapshot } from '../lib/priceStore.js';
+import { readHistoryWithCurrent } from '../lib/priceHistory.js';
+import { getCurveOnDate } from '../lib/historySeries.js';
+import { VAT_BASES, removeVat } from '../lib/vat.js';
+import { loadPriceResponse } from '../lib/priceResponse.js';
+import { INTERPOLATION_METHODS, curveNodes, interpolateCurve } from '../lib/forwardCurve.js';
+import { spotCNY } from '../lib/curveAnalytics.js';
+import { readFxHistory, resolveRateTable } from '../lib/fxRates.js';
+import { isCalendarDate } from '../lib/tradingCalendar.js';
+
+/**
+ * Curve values on the requested VAT basis (history is VAT-inclusive)
+ */
+function onBasis(curve, vat) {
+    if (vat === 'incl') return curve;
+    const excl = (values) => values && { usd: removeVat(values.usd), cny: removeVat(values.cny) };
+    return {
+        ...curve,
+        spot: excl(curve.spot),
+        futures: curve.futures.map(f => ({ contract: f.contract, ...excl(f) })),
+    };
+}
+
+/**
+ * Forward prices for delivery dates on the current curve, or an error message
+ */
+function forwardPrices(response, deliveries, method) {
+    const session = response.session.date;
+    const carbonate = response.products.carbonate;
+    // Spot without a CNY quote is converted at the rate the futures use
+    const contracts = [
+        { isSpot: true, price: carbonate?.price, priceCNY: spotCNY(carbonate, response.conversionRate) },
+        ...response.futures,
+    ];
+    const nodes = curveNodes(contracts, session);
+    const nodesCNY = curveNodes(contracts, session, 'priceCNY');
+
+    if (deliveries.some(date => date < session)) {
+        return { error: `Invalid delivery (dates must be on or after the session date, ${session})` };
+    }
+    return {
+        vat: response.vat,
+        method,
+        session: response.session,
+        nodes,
+        points: deliveries.map(date => ({
+            ...interpolateCurve(nodes, date, method),
+            priceCNY: interpolateCurve(nodesCNY, date, method)?.price ?? null,
+        })),
+    };
+}
+
+export default function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    const date = req.query?.date;
+    const vat = req.query?.vat || 'incl';
+    if (!VAT_BASES.includes(vat)) {
+        return res.status(400).json({ error: `Invalid vat (expected ${VAT_BASES.join(', ')})` });
+    }
+
+    if (req.query?.delivery) {
+        // Vercel hands a repeated param over as an array
+        const deliveries = [].concat(req.query.delivery).join(',').split(',');
+        const method = req.query.method || 'linear';
+        if (date) return res.status(400).json({ error: 'Use either date or delivery, not both' });
+        if (!deliveries.every(isCalendarDate)) {
+            return res.status(400).json({ error: 'Invalid delivery (expected YYYY-MM-DD dates)' });
+        }
+        if (!INTERPOLATION_METHODS.includes(method)) {
+            return res.status(400).json({ error: `Invalid method (expected ${INTERPOLATION_METHODS.join(', ')})` });
+        }
+
+        let response;
+        try {
+            response = loadPriceResponse(vat);
+        } catch (err) {
+            console.error('Error reading price snapshots:', err);
+            return res.status(503).json({ error: 'Price data unavailable' });
+        }
+        const result = forwardPrices(response, deliveries, method);
+        return res.status(result.error ? 400 : 200).json(result);
+    }
+
+    if (!isCalendarDate(date)) {
+        return res.status(400).json({ error: 'Invalid date (expected YYYY-MM-DD)' });
+    }
+
+    let records;
+    let fxHistory;
+    try {
+        records = readHistoryWithCurrent(readSnapshot('current'));
+        fxHistory = readFxHistory();
+    } catch (err) {
+        console.error('Error reading price history:', err);
+        return res.status(503).json({ error: 'Price history unavailable' });
+    }
+
+    const curve = getCurveOnDate(records, date);
+    if (!curve) return res.status(404).json({ error: `No curve on or before ${date}` });
+
+    return res.status(200).json({
+        requested: date,
+        vat,
+        ...onBasis(curve, vat),
+        rates: resolveRateTable(curve.date, fxHistory),
+    });
+}
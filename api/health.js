@@ -0,0 +1,39 @@
+/**
+ * Vercel Serverless API - Data Health
+ *
+ * GET /api/health
+ *
+ * Reports how fresh the published prices really are (lib/freshness.js):
+ * the scrape time, the quote date and age in sessions of every product and
+ * contract, the last successful and failed pipeline runs, and an overall
+ * status of ok, stale or degraded. 503 when the snapshot or the run log
+ * cannot be read.
+ */
+
+import { readSnapshot } from '../lib/priceStore.js';
+import { latestRuns } from '../lib/runLog.js';
+import { currentSession } from '../lib/marketSchedule.js';
+import { assessFreshness } from '../lib/freshness.js';
+
+export default function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    let snapshot;
+    let runs;
+    try {
+        snapshot = readSnapshot('current');
+        runs = latestRuns();
+    } catch (error) {
+        console.error('Error reading price snapshot or run log:', error);
+        return res.status(503).json({ status: 'down', error: 'Price data unavailable' });
+    }
+
+    const now = new Date();
+    const report = assessFreshness(snapshot, { session: currentSession(now), runs, now });
+    return res.status(200).json({ checkedAt: now.toISOString(), ...report });
+}
@@ -0,0 +1,88 @@
+/**
+ * Vercel Serverless API - Historical Prices
+ *
+ * GET /api/history?product=carbonate&from=2026-01-01&to=2026-03-31&interval=weekly&format=ohlc&vat=excl
+ *
+ * - product:  carbonate, spodumene or a GFEX contract code (e.g. LC2607)
+ * - from/to:  inclusive YYYY-MM-DD bounds (optional)
+ * - interval: daily (default), weekly or monthly
+ * - format:   close (default) or ohlc
+ * - vat:      incl (default) or excl
+ *
+ * Every point carries both USD and CNY values per `unit` (the catalog
+ * product's SMM unit, mt for GFEX contracts), and `rates` per USD for the
+ * other display currencies on its date (lib/fxRates.js resolveRates).
+ */
+
+import { readSnapshot } from '../lib/priceStore.js';
+import { readHistoryWithCurrent } from '../lib/priceHistory.js';
+import {
+    INTERVALS,
+    isKnownProduct,
+    getProductSeries,
+    filterRange,
+    toOHLC,
+    toCloseSeries,
+    seriesOnBasis,
+} from '../lib/historySeries.js';
+import { VAT_BASES } from '../lib/vat.js';
+import { readFxHistory, resolveRates } from '../lib/fxRates.js';
+import { getProduct } from '../lib/products.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const FORMATS = ['close', 'ohlc'];
+
+/**
+ * Validate query parameters, returning an error message or null
+ */
+function validateQuery({ product, from, to, interval, format, vat }) {
+    if (!product) return 'Missing required parameter: product';
+    if (!isKnownProduct(product)) return `Unknown product: ${product}`;
+    if (from && !DATE_PATTERN.test(from)) return 'Invalid from date (expected YYYY-MM-DD)';
+    if (to && !DATE_PATTERN.test(to)) return 'Invalid to date (expected YYYY-MM-DD)';
+    if (from && to && from > to) return 'from must not be after to';
+    if (!INTERVALS.includes(interval)) return `Invalid interval (expected ${INTERVALS.join(', ')})`;
+    if (!FORMATS.includes(format)) return `Invalid format (expected ${FORMATS.join(', ')})`;
+    if (!VAT_BASES.includes(vat)) return `Invalid vat (expected ${VAT_BASES.join(', ')})`;
+    return null;
+}
+
+export default function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+
+    const query = {
+        product: req.query?.product,
+        from: req.query?.from || null,
+        to: req.query?.to || null,
+        interval: req.query?.interval || 'daily',
+        format: req.query?.format || 'close',
+        vat: req.query?.vat || 'incl',
+    };
+
+    const error = validateQuery(query);
+    if (error) return res.status(400).json({ error });
+
+    let records;
+    let fxHistory;
+    try {
+        records = readHistoryWithCurrent(readSnapshot('current'));
+        fxHistory = readFxHistory();
+    } catch (err) {
+        console.error('Error reading price history:', err);
+        return res.status(503).json({ error: 'Price history unavailable' });
+    }
+
+    const series = seriesOnBasis(getProductSeries(records, query.product), query.product, query.vat);
+    const daily = filterRange(series, query.from, query.to);
+    return res.status(200).json({
+        ...query,
+        currencies: ['USD', 'CNY'],
+        unit: `per ${getProduct(query.product)?.smm.unit ?? 'mt'}`,
+        series: (query.format === 'ohlc' ? toOHLC(daily, query.interval) : toCloseSeries(daily, query.interval))
+            .map(point => ({ ...point, rates: resolveRates(point.date, fxHistory) })),
+    });
+}
@@ -0,0 +1,101 @@
+/**
+ * GFEX Contract Codes
+ *
+ * Lithium carbonate futures are coded LC + YYMM of the delivery month
+ * (LC2607 = July 2026). Everything about a contract that the curve needs
+ * is derived from the code, so nothing here is hand-maintained.
+ * Pure functions only - shared by the scraper, the API and the dashboard.
+ */
+
+import { nthTradingDay, tradingDaysBetween } from './tradingCalendar.js';
+
+export const CONTRACT_PATTERN = /^LC(\d{2})(\d{2})$/;
+
+// GFEX: trading stops on the 5th trading day of the delivery month
+export const LAST_TRADING_DAY_INDEX = 5;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Check whether a string is a lithium carbonate contract code
+ */
+export function isContractCode(code) {
+    const match = typeof code === 'string' && code.match(CONTRACT_PATTERN);
+    return Boolean(match) && Number(match[2]) >= 1 && Number(match[2]) <= 12;
+}
+
+/**
+ * Structured metadata for a contract code, or null if it is not one:
+ * { contract, year, month, deliveryMonth: 'YYYY-MM', label: 'Jul-26', lastTradingDay }
+ */
+export function parseContract(code) {
+    if (!isContractCode(code)) return null;
+    const [, yy, mm] = code.match(CONTRACT_PATTERN);
+    const year = 2000 + Number(yy);
+    const month = Number(mm);
+    return {
+        contract: code,
+        year,
+        month,
+        deliveryMonth: `${year}-${mm}`,
+        label: `${MONTHS[month - 1]}-${yy}`,
+        lastTradingDay: nthTradingDay(`${year}-${mm}`, LAST_TRADING_DAY_INDEX),
+    };
+}
+
+/**
+ * Display label for a contract ('LC2607' -> 'Jul-26')
+ */
+export function contractLabel(code) {
+    return parseContract(code)?.label ?? code;
+}
+
+/**
+ * A contract has expired once its last trading day has passed
+ * (`date` is YYYY-MM-DD on the exchange clock, e.g. exchangeToday())
+ */
+export function isContractExpired(code, date) {
+    const contract = parseContract(code);
+    return contract !== null && contract.lastTradingDay < date;
+}
+
+/**
+ * Trading days left after `date` until the contract stops trading
+ * (0 on its last trading day, null once expired or for a non-contract)
+ */
+export function tradingDaysToExpiry(code, date) {
+    const contract = parseContract(code);
+    if (!contract || contract.lastTradingDay < date) return null;
+    return tradingDaysBetween(date, contract.lastTradingDay);
+}
+
+/**
+ * Sort contracts by delivery month (codes sort chronologically)
+ */
+export function sortContracts(futures) {
+    return [...futures].sort((a, b) => a.contract.localeCompare(b.contract));
+}
+
+/**
+ * Merge a scrape into the current futures strip: scraped contracts update
+ * or join the strip, and contracts expired as of `date` leave it (their last
+ * prices are already in the daily history).
+ * Returns { futures, added: [codes], expired: [codes] }
+ */
+export function mergeContracts(current, scraped, date) {
+    const byContract = new Map(current.map(f => [f.contract, f]));
+    const added = [];
+    scraped.forEach(f => {
+        if (!byContract.has(f.contract)) added.push(f.contract);
+        byContract.set(f.contract, { ...byContract.get(f.contract), ...f });
+    });
+
+    const expired = [...byContract.keys()].filter(code => isContractExpired(code, date));
+    expired.forEach(code => byContract.delete(code));
+
+    return {
+        futures: sortContracts([...byContract.values()]),
+        added: added.filter(code => !expired.includes(code)),
+        expired: expired.filter(code => !added.includes(code)),
+    };
+}
@@ -0,0 +1,45 @@
+/**
+ * Currency Registry
+ *
+ * Display currencies for prices. Prices are stored in USD (and CNY where
+ * SMM/GFEX quote it), and every FX rate is quoted per US dollar as a
+ * USD/<code> pair (units of the currency per 1 USD), recorded in
+ * data/history/fx.jsonl (lib/fxRates.js). Add an entry here and record
+ * rates for its pair to offer another currency.
+ *
+ * - pairs: FX pairs accepted for the currency, preferred first
+ */
+
+export const BASE_CURRENCY = 'USD';
+
+export const CURRENCIES = [
+    { code: 'USD', symbol: '$', name: 'US Dollar', pairs: [] },
+    // Offshore CNH is what SMM publishes; onshore CNY comes from manual entries
+    { code: 'CNY', symbol: '¥', name: 'Chinese Yuan', pairs: ['USD/CNY', 'USD/CNH'] },
+    { code: 'EUR', symbol: '€', name: 'Euro', pairs: ['USD/EUR'] },
+    { code: 'ARS', symbol: 'AR$', name: 'Argentine Peso', pairs: ['USD/ARS'] },
+];
+
+export const CURRENCY_CODES = CURRENCIES.map(c => c.code);
+
+/**
+ * Look up a currency by code
+ */
+export function getCurrency(code) {
+    return CURRENCIES.find(c => c.code === code) || null;
+}
+
+/**
+ * Currency a USD/<code> pair converts to, or null if none is registered
+ */
+export function currencyForPair(pair) {
+    return CURRENCIES.find(c => c.pairs.includes(pair)) || null;
+}
+
+/**
+ * Convert a USD amount at a USD/<code> rate (whole units), null if either is missing
+ */
+export function fromUSD(value, rate) {
+    if (value === null || value === undefined || !rate) return null;
+    return Math.round(value * rate);
+}
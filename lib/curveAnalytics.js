@@ -0,0 +1,109 @@
+/**
+ * Futures Curve Analytics
+ *
+ * The numbers the hedging desk reads off the GFEX curve: the basis of the
+ * front month over spot, the spread between consecutive contracts (and any
+ * chosen pair such as LC2603-LC2609), the annualized carry each spread
+ * implies, and a plain contango/backwardation call.
+ *
+ * Everything is worked out in CNY, the currency both GFEX and the SMM
+ * carbonate assessment quote in, on whatever VAT basis the prices are on.
+ * USD spreads come along when both legs have a USD price. A spread is
+ * always far leg minus near leg, so a positive basis is a futures premium.
+ * Carry is annualized over the calendar days between the legs' dates: the
+ * session date for spot, the last trading day for a contract. SMM's English
+ * page has no CNY spot quote, so spot is then converted from USD at the
+ * snapshot's recorded FX rate.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Spread from a near leg to a far leg, each { contract, price, priceCNY, date }:
+ * { from, to, spreadCNY, spread, percent, days, annualizedCarry }, or null
+ * when either leg has no CNY price
+ */
+export function computeSpread(near, far) {
+    if (!near?.priceCNY || !far?.priceCNY) return null;
+    const ratio = far.priceCNY / near.priceCNY - 1;
+    const days = near.date && far.date ? daysBetween(near.date, far.date) : null;
+    const hasUSD = near.price !== null && near.price !== undefined && far.price !== null && far.price !== undefined;
+    return {
+        from: near.contract,
+        to: far.contract,
+        spreadCNY: Math.round(far.priceCNY - near.priceCNY),
+        spread: hasUSD ? Math.round(far.price - near.price) : null,
+        percent: round2(ratio * 100),
+        days,
+        annualizedCarry: days > 0 ? round2(ratio * (365 / days) * 100) : null,
+    };
+}
+
+/**
+ * Contango when every consecutive spread is upward, backwardation when every
+ * one is downward, flat when all are zero, otherwise mixed (null without spreads)
+ */
+export function classifyCurve(spreads) {
+    const signs = spreads.filter(Boolean).map(s => Math.sign(s.spreadCNY));
+    if (signs.length === 0) return null;
+    if (signs.every(sign => sign === 0)) return 'flat';
+    if (signs.every(sign => sign >= 0)) return 'contango';
+    if (signs.every(sign => sign <= 0)) return 'backwardation';
+    return 'mixed';
+}
+
+/**
+ * Parse a spread pair ('LC2603-LC2609') into [near, far], or null
+ */
+export function parseSpreadPair(text) {
+    const match = /^(LC\d{4})-(LC\d{4})$/.exec(text.trim().toUpperCase());
+    return match && match[1] < match[2] ? [match[1], match[2]] : null;
+}
+
+/**
+ * Spot in CNY: its own CNY quote, else the USD price at `fxRate` (CNY per USD)
+ */
+export function spotCNY(spot, fxRate) {
+    if (spot?.priceCNY) return spot.priceCNY;
+    return spot?.price && fxRate ? Math.round(spot.price * fxRate) : null;
+}
+
+/**
+ * Analytics for spot ({ price, priceCNY, date }) and the active contracts
+ * ({ contract, price, priceCNY, lastTradingDay }), with the USD/CNY rate
+ * for a spot price without a CNY quote:
+ * { structure, basis, frontToBack, spreads, pairs }
+ * `pairs` are chosen [near, far] contract codes; a pair with a contract that
+ * is not on the curve comes back as { from, to, missing: true }.
+ */
+export function analyzeCurve(spot, futures, pairs = [], fxRate = null) {
+    const legs = futures
+        .filter(f => f.priceCNY)
+        .map(f => ({ contract: f.contract, price: f.price, priceCNY: f.priceCNY, date: f.lastTradingDay }))
+        .sort((a, b) => a.contract.localeCompare(b.contract));
+    const spotPriceCNY = spotCNY(spot, fxRate);
+    const spotLeg = spotPriceCNY
+        ? { contract: 'Spot', price: spot.price, priceCNY: spotPriceCNY, date: spot.date }
+        : null;
+    const front = legs[0] || null;
+    const back = legs[legs.length - 1] || null;
+    const spreads = legs.slice(1).map((leg, i) => computeSpread(legs[i], leg));
+    const byContract = new Map(legs.map(leg => [leg.contract, leg]));
+
+    return {
+        structure: classifyCurve(spreads),
+        basis: spotLeg && front ? computeSpread(spotLeg, front) : null,
+        frontToBack: legs.length > 1 ? computeSpread(front, back) : null,
+        spreads,
+        pairs: pairs.map(([near, far]) => computeSpread(byContract.get(near), byContract.get(far))
+            || { from: near, to: far, missing: true }),
+    };
+}
@@ -0,0 +1,107 @@
+/**
+ * Forward Curve Interpolation
+ *
+ * Forward price for any delivery date from spot plus the active GFEX
+ * contracts, for offtake and procurement contracts that settle between
+ * listed months. Each curve node is dated: spot on the session date, a
+ * contract on its last trading day. Between nodes the price is interpolated
+ * linearly or with a monotone cubic spline (Fritsch-Carlson, so it never
+ * overshoots the neighbouring prices). Past the last contract the curve is
+ * held flat at its price and the result is marked extrapolated.
+ *
+ * Pure functions - shared by /api/curve and the dashboard.
+ */
+
+export const INTERPOLATION_METHODS = ['linear', 'monotone'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Curve nodes from a contract list (spot first, as getFuturesContracts() or
+ * the /api/prices futures give them): [{ contract, date, price }], by date.
+ * Spot is dated `sessionDate`; entries without a date or price are skipped.
+ */
+export function curveNodes(contracts, sessionDate, field = 'price') {
+    const nodes = contracts
+        .map(c => ({ contract: c.isSpot ? 'Spot' : c.contract, date: c.isSpot ? sessionDate : c.lastTradingDay, price: c[field] }))
+        .filter(node => node.date && node.price !== null && node.price !== undefined)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    return nodes.filter((node, i) => i === 0 || node.date !== nodes[i - 1].date);
+}
+
+/**
+ * Fritsch-Carlson tangents for a monotone cubic through (xs, ys)
+ */
+function monotoneTangents(xs, ys) {
+    const n = xs.length;
+    const secants = xs.slice(1).map((x, i) => (ys[i + 1] - ys[i]) / (x - xs[i]));
+    const tangents = xs.map((_, i) => {
+        if (i === 0) return secants[0];
+        if (i === n - 1) return secants[n - 2];
+        return secants[i - 1] * secants[i] <= 0 ? 0 : (secants[i - 1] + secants[i]) / 2;
+    });
+
+    secants.forEach((secant, i) => {
+        if (secant === 0) {
+            tangents[i] = 0;
+            tangents[i + 1] = 0;
+            return;
+        }
+        const a = tangents[i] / secant;
+        const b = tangents[i + 1] / secant;
+        const h = a * a + b * b;
+        if (h > 9) {
+            const t = 3 / Math.sqrt(h);
+            tangents[i] = t * a * secant;
+            tangents[i + 1] = t * b * secant;
+        }
+    });
+    return tangents;
+}
+
+/**
+ * Forward price on `date` from dated nodes ({ contract, date, price }, by date):
+ * { date, price, method, extrapolated, from, to } where `from`/`to` are the
+ * contracts either side (the same node on a node date). Null before the first
+ * node or without nodes.
+ */
+export function interpolateCurve(nodes, date, method = 'linear') {
+    if (nodes.length === 0 || date < nodes[0].date) return null;
+
+    const last = nodes[nodes.length - 1];
+    if (date >= last.date) {
+        return { date, price: last.price, method, extrapolated: date > last.date, from: last.contract, to: last.contract };
+    }
+
+    const i = nodes.findIndex(node => node.date > date) - 1;
+    const near = nodes[i];
+    const far = nodes[i + 1];
+    const xs = nodes.map(node => daysBetween(nodes[0].date, node.date));
+    const x = daysBetween(nodes[0].date, date);
+    const h = xs[i + 1] - xs[i];
+    const t = (x - xs[i]) / h;
+
+    let price;
+    if (method === 'monotone') {
+        const m = monotoneTangents(xs, nodes.map(node => node.price));
+        price = (2 * t ** 3 - 3 * t ** 2 + 1) * near.price
+            + (t ** 3 - 2 * t ** 2 + t) * h * m[i]
+            + (-2 * t ** 3 + 3 * t ** 2) * far.price
+            + (t ** 3 - t ** 2) * h * m[i + 1];
+    } else {
+        price = near.price + (far.price - near.price) * t;
+    }
+
+    return {
+        date,
+        price: Math.round(price),
+        method,
+        extrapolated: false,
+        from: near.contract,
+        to: date === near.date ? near.contract : far.contract,
+    };
+}
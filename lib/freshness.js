@@ -0,0 +1,80 @@
+/**
+ * Data Freshness
+ *
+ * How far behind the published snapshot is, measured in GFEX sessions
+ * (lib/tradingCalendar.js) so weekends and holidays never count as stale.
+ * A quote is stale once it is more than STALE_AFTER_SESSIONS sessions
+ * behind the current session (default 1: yesterday's close is fine until
+ * today's prices are published).
+ *
+ * Status: 'degraded' when the latest pipeline run failed or the snapshot was
+ * never scraped, 'stale' when the snapshot or a required product is behind,
+ * otherwise 'ok'.
+ */
+
+import { PRODUCT_CATALOG } from './products.js';
+import { isContractExpired } from './contracts.js';
+import { tradingDaysBetween } from './tradingCalendar.js';
+
+const DEFAULT_STALE_AFTER_SESSIONS = 1;
+
+/**
+ * Sessions a quote may lag before it counts as stale (STALE_AFTER_SESSIONS env var)
+ */
+export function getStaleAfterSessions() {
+    const value = parseInt(process.env.STALE_AFTER_SESSIONS, 10);
+    return value >= 0 ? value : DEFAULT_STALE_AFTER_SESSIONS;
+}
+
+/**
+ * Freshness report for a snapshot:
+ * { status, reasons, staleAfterSessions, session, scrape, products, futures, runs }
+ * `session` is the current session ({ date, closed }, lib/marketSchedule.js) and
+ * `runs` the last successful and failed runs ({ lastSuccess, lastFailure }, lib/runLog.js).
+ */
+export function assessFreshness(snapshot, { session, runs = {}, now = new Date(), staleAfterSessions = getStaleAfterSessions() }) {
+    const quote = (date) => {
+        const sessionsBehind = date ? tradingDaysBetween(date, session.date) : null;
+        return { date: date || null, sessionsBehind, stale: sessionsBehind === null || sessionsBehind > staleAfterSessions };
+    };
+
+    const scrape = {
+        scrapedAt: snapshot.scrapedAt || null,
+        ageHours: snapshot.scrapedAt
+            ? Math.round((now.getTime() - Date.parse(snapshot.scrapedAt)) / 36e5 * 10) / 10
+            : null,
+        ...quote(snapshot.date),
+    };
+
+    const products = Object.fromEntries(PRODUCT_CATALOG
+        .filter(product => snapshot.products[product.id])
+        .map(product => [product.id, quote(snapshot.products[product.id].date ?? snapshot.date)]));
+
+    const futures = snapshot.futures
+        .filter(f => !isContractExpired(f.contract, session.date))
+        .map(f => ({ contract: f.contract, ...quote(f.date ?? snapshot.date) }));
+
+    const reasons = [];
+    const { lastSuccess = null, lastFailure = null } = runs;
+    if (!scrape.scrapedAt) reasons.push('Prices have never been scraped');
+    if (lastFailure && (!lastSuccess || lastFailure.finishedAt > lastSuccess.finishedAt)) {
+        reasons.push(`Latest update ${lastFailure.outcome}${lastFailure.error ? `: ${lastFailure.error}` : ''}`);
+    }
+    const degraded = reasons.length > 0;
+
+    if (scrape.stale) reasons.push(`Prices are for ${snapshot.date}, ${scrape.sessionsBehind} sessions behind`);
+    PRODUCT_CATALOG
+        .filter(product => product.required && products[product.id]?.stale)
+        .forEach(product => reasons.push(`${product.label} quote is from ${products[product.id].date}`));
+
+    return {
+        status: degraded ? 'degraded' : reasons.length > 0 ? 'stale' : 'ok',
+        reasons,
+        staleAfterSessions,
+        session,
+        scrape,
+        products,
+        futures,
+        runs: { lastSuccess, lastFailure },
+    };
+}
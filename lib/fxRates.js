@@ -0,0 +1,161 @@
+/**
+ * FX Rates
+ *
+ * Daily rate table for the display currencies (lib/currencies.js), quoted
+ * per USD. The USD/CNY rate also converts GFEX futures (and other CNY
+ * prices) to USD. Rates are appended to data/history/fx.jsonl, one per
+ * pair per day, with the same last-appended-wins rule as the price history:
+ * scraped (SMM offshore RMB), entered by hand or imported from a CSV file.
+ *
+ * The rate for a day is the latest recorded rate on or before it. If there
+ * is none within FX_MAX_AGE_DAYS, CNY falls back to the manual rate
+ * (FX_MANUAL_RATE env var, else DEFAULT_MANUAL_RATE); other currencies
+ * have no rate (and no converted prices) that day.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR, SnapshotValidationError, latestPerDate, readJSONLines } from './priceStore.js';
+import { validateSnapshot } from './snapshotSchema.js';
+import { CURRENCY_CODES, currencyForPair, getCurrency } from './currencies.js';
+import { parseCsv } from './sources/csv.js';
+
+export const FX_HISTORY_PATH = path.join(DATA_DIR, 'history', 'fx.jsonl');
+
+// Display labels by record source ('smm' is the pre-lib/sources/ name)
+export const FX_SOURCES = {
+    'smm': 'SMM Offshore RMB HK',
+    'smm-puppeteer': 'SMM Offshore RMB HK',
+    'smm-static': 'SMM Offshore RMB HK',
+    'manual': 'Manual rate',
+    'manual-csv': 'Manual rate',
+    'import': 'Imported rate',
+};
+
+const DEFAULT_MANUAL_RATE = 6.98;
+const FX_MAX_AGE_DAYS = 7;
+
+/**
+ * Manual fallback rate (FX_MANUAL_RATE env var, else the built-in default)
+ */
+export function getManualRate() {
+    const rate = parseFloat(process.env.FX_MANUAL_RATE);
+    return rate > 0 ? rate : DEFAULT_MANUAL_RATE;
+}
+
+/**
+ * Read the FX history: one record per pair per day, oldest first
+ */
+export function readFxHistory(filePath = FX_HISTORY_PATH) {
+    const byPair = new Map();
+    readJSONLines(filePath, 'fxRecord').forEach(record => {
+        byPair.set(record.pair, [...(byPair.get(record.pair) || []), record]);
+    });
+    return [...byPair.values()]
+        .flatMap(records => latestPerDate(records))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.pair.localeCompare(b.pair));
+}
+
+/**
+ * Validate and append an FX record ({ date, pair, rate, source })
+ */
+export function appendFxRate(record, filePath = FX_HISTORY_PATH) {
+    const entry = { ...record, recordedAt: new Date().toISOString() };
+    const errors = validateSnapshot('fxRecord', entry);
+    if (errors.length > 0) throw new SnapshotValidationError('fxRecord', errors);
+    if (!currencyForPair(entry.pair)) throw new Error(`No registered currency for ${entry.pair}`);
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+    return entry;
+}
+
+function daysBetween(from, to) {
+    return (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000;
+}
+
+/**
+ * FX import file (FX_IMPORT_FILE env var, else data/imports/fx.csv)
+ */
+export function getFxImportPath() {
+    return process.env.FX_IMPORT_FILE || path.join(DATA_DIR, 'imports', 'fx.csv');
+}
+
+/**
+ * Parse an FX import file: `date,pair,rate` rows (e.g. 2026-01-23,USD/EUR,0.9213).
+ * Returns { records, issues } with records ready for appendFxRate().
+ */
+export function parseFxCsv(text, source = 'import') {
+    const records = [];
+    const issues = [];
+    parseCsv(text).forEach((row, i) => {
+        const rate = parseFloat(row.rate);
+        const pair = (row.pair || '').toUpperCase();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(row.date || '')) {
+            issues.push({ field: `row ${i + 1}`, message: `expected YYYY-MM-DD date, got '${row.date}'` });
+        } else if (!currencyForPair(pair)) {
+            issues.push({ field: `row ${i + 1}`, message: `unknown pair '${row.pair}'` });
+        } else if (!(rate > 0)) {
+            issues.push({ field: `row ${i + 1}`, message: `expected positive rate, got '${row.rate}'` });
+        } else {
+            records.push({ date: row.date, pair, rate, source });
+        }
+    });
+    return { records, issues };
+}
+
+/**
+ * Latest rate on or before `date` within FX_MAX_AGE_DAYS for the first of
+ * `pairs` (preferred first) that has one
+ */
+function latestRate(pairs, date, records) {
+    const latest = pairs
+        .map(pair => records.filter(r => r.pair === pair && r.date <= date).pop())
+        .find(record => record && daysBetween(record.date, date) <= FX_MAX_AGE_DAYS);
+    if (!latest) return null;
+    return {
+        rate: latest.rate,
+        pair: latest.pair,
+        source: latest.source,
+        label: FX_SOURCES[latest.source] || latest.source,
+        date: latest.date,
+    };
+}
+
+/**
+ * Rate to use for a price date: { rate, pair, source, label, date }
+ * `date` is the day the rate was quoted (null for the manual fallback).
+ */
+export function resolveFxRate(date, records = readFxHistory()) {
+    const latest = latestRate(getCurrency('CNY').pairs, date, records);
+    if (latest) return latest;
+    return {
+        rate: getManualRate(),
+        pair: 'USD/CNY',
+        source: 'manual',
+        label: FX_SOURCES.manual,
+        date: null,
+    };
+}
+
+/**
+ * Rate per USD for a past price date, by currency code: { CNY: 7.128, EUR: 0.9198 }
+ * Currencies with no recent rate that day are left out.
+ */
+export function resolveRates(date, records = readFxHistory()) {
+    return Object.fromEntries(Object.entries(resolveRateTable(date, records))
+        .filter(([code, entry]) => code !== 'USD' && entry)
+        .map(([code, entry]) => [code, entry.rate]));
+}
+
+/**
+ * Rate table for a price date, by currency code: { rate, pair, source, label, date },
+ * or null for a currency with no recent rate. USD is always 1.
+ */
+export function resolveRateTable(date, records = readFxHistory()) {
+    return Object.fromEntries(CURRENCY_CODES.map(code => {
+        if (code === 'USD') return [code, { rate: 1, pair: null, source: null, label: null, date: null }];
+        if (code === 'CNY') return [code, resolveFxRate(date, records)];
+        return [code, latestRate(getCurrency(code).pairs, date, records)];
+    }));
+}
@@ -0,0 +1,150 @@
+/**
+ * History Series
+ *
+ * Turns daily history records into per-product price series and
+ * resamples them into weekly or monthly OHLC bars.
+ * Pure functions only - shared by the API and the dashboard.
+ */
+
+import { PRODUCT_IDS, getProduct } from './products.js';
+import { isContractCode } from './contracts.js';
+import { removeVat } from './vat.js';
+
+export const INTERVALS = ['daily', 'weekly', 'monthly'];
+
+function round(value, decimals = 2) {
+    if (value === null || value === undefined) return null;
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * CNY per USD recorded with a record, or null (lib/priceHistory.js
+ * readHistoryWithCurrent fills it in from the FX history)
+ */
+export function getRecordRate(record) {
+    return record.conversionRate || null;
+}
+
+/**
+ * Check whether a product key is one the history can answer for
+ */
+export function isKnownProduct(product) {
+    return PRODUCT_IDS.includes(product) || isContractCode(product);
+}
+
+/**
+ * Daily close series for one product: [{ date, usd, cny }]
+ * Days where the product has no price are skipped.
+ */
+export function getProductSeries(records, product) {
+    return records.flatMap(record => {
+        const rate = getRecordRate(record);
+        let usd = null;
+        let cny = null;
+
+        if (isContractCode(product)) {
+            cny = record.futures.find(f => f.contract === product)?.priceCNY ?? null;
+            usd = cny !== null && rate ? cny / rate : null;
+        } else if (record.products[product]) {
+            usd = record.products[product].price ?? null;
+            cny = record.products[product].priceCNY ?? (usd !== null && rate ? usd * rate : null);
+        }
+
+        if (usd === null && cny === null) return [];
+        return [{ date: record.date, usd: round(usd), cny: round(cny) }];
+    });
+}
+
+/**
+ * A product's series on the requested VAT basis (history is VAT-inclusive;
+ * `vatExempt` catalog products are the same on both)
+ */
+export function seriesOnBasis(points, product, vat) {
+    if (vat === 'incl' || getProduct(product)?.vatExempt) return points;
+    return points.map(p => ({ ...p, usd: removeVat(p.usd), cny: removeVat(p.cny) }));
+}
+
+/**
+ * Keep points with from <= date <= to (either bound optional)
+ */
+export function filterRange(points, from, to) {
+    return points.filter(p => (!from || p.date >= from) && (!to || p.date <= to));
+}
+
+/**
+ * Start date of the bucket a date falls in (Monday for weekly, 1st for monthly)
+ */
+function bucketStart(date, interval) {
+    if (interval === 'monthly') return `${date.slice(0, 7)}-01`;
+    if (interval === 'weekly') {
+        const d = new Date(`${date}T00:00:00Z`);
+        const offset = (d.getUTCDay() + 6) % 7;
+        d.setUTCDate(d.getUTCDate() - offset);
+        return d.toISOString().split('T')[0];
+    }
+    return date;
+}
+
+function ohlc(values) {
+    const present = values.filter(v => v !== null);
+    if (present.length === 0) return null;
+    return {
+        open: present[0],
+        high: Math.max(...present),
+        low: Math.min(...present),
+        close: present[present.length - 1],
+    };
+}
+
+/**
+ * Resample daily points into OHLC bars: [{ date, days, usd: {open,high,low,close}, cny: {...} }]
+ */
+export function toOHLC(points, interval = 'daily') {
+    const buckets = new Map();
+    points.forEach(p => {
+        const key = bucketStart(p.date, interval);
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(p);
+    });
+
+    return [...buckets.entries()].map(([date, bucket]) => ({
+        date,
+        days: bucket.length,
+        usd: ohlc(bucket.map(p => p.usd)),
+        cny: ohlc(bucket.map(p => p.cny)),
+    }));
+}
+
+/**
+ * Resample daily points into close-only points (last value in each bucket)
+ */
+export function toCloseSeries(points, interval = 'daily') {
+    return toOHLC(points, interval).map(bar => ({
+        date: bar.date,
+        usd: bar.usd?.close ?? null,
+        cny: bar.cny?.close ?? null,
+    }));
+}
+
+/**
+ * The futures curve as it stood on `date`: the latest record on or before it,
+ * as { date, spot: { usd, cny }, futures: [{ contract, usd, cny }] }, or null.
+ * Spot is carbonate, the product GFEX contracts deliver.
+ */
+export function getCurveOnDate(records, date) {
+    const record = records.filter(r => r.date <= date).pop();
+    if (!record) return null;
+
+    const rate = getRecordRate(record);
+    const spot = getProductSeries([record], 'carbonate')[0] || null;
+    return {
+        date: record.date,
+        spot: spot && { usd: spot.usd, cny: spot.cny },
+        futures: record.futures.map(f => ({
+            contract: f.contract,
+            usd: rate ? round(f.priceCNY / rate) : null,
+            cny: f.priceCNY,
+        })),
+    };
+}
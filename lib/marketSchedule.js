@@ -0,0 +1,73 @@
+/**
+ * Market Schedule
+ *
+ * One clock for the whole pipeline: Shanghai time, the GFEX session and
+ * the SMM publication time. A snapshot belongs to a session date (the
+ * trading day its quotes are for), so "24H Change" always compares one
+ * session's close with the previous session's close.
+ *
+ *   before ROLL on a trading day   -> still the previous session
+ *   ROLL .. CLOSE                  -> intraday quotes for today's session
+ *   after CLOSE                    -> today's official daily close
+ *   weekends and holidays          -> the last session, already closed
+ *
+ * The first run of a new session archives the previous snapshot to the
+ * daily history, which is the baseline for that session's changes.
+ * Times are 'HH:MM' in exchange time, overridable with MARKET_ROLL_TIME
+ * and MARKET_CLOSE_TIME.
+ */
+
+import { EXCHANGE_TIMEZONE, isTradingDay, previousTradingDay } from './tradingCalendar.js';
+
+// SMM publishes the day's spot assessments from about 09:00
+const DEFAULT_ROLL_TIME = '09:00';
+// GFEX closes at 15:00; settlement prices are out by about 15:30
+const DEFAULT_CLOSE_TIME = '15:30';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function timeFromEnv(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+    if (!TIME_PATTERN.test(value)) throw new Error(`${name} must be HH:MM (got "${value}")`);
+    return value;
+}
+
+/**
+ * Roll and close times in exchange time: { timezone, rollTime, closeTime }
+ */
+export function getSchedule() {
+    return {
+        timezone: EXCHANGE_TIMEZONE,
+        rollTime: timeFromEnv('MARKET_ROLL_TIME', DEFAULT_ROLL_TIME),
+        closeTime: timeFromEnv('MARKET_CLOSE_TIME', DEFAULT_CLOSE_TIME),
+    };
+}
+
+/**
+ * Wall clock on the exchange: { date: 'YYYY-MM-DD', time: 'HH:MM' }
+ */
+export function marketClock(now = new Date()) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+        timeZone: EXCHANGE_TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(now).map(p => [p.type, p.value]));
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+/**
+ * The session a quote taken at `now` belongs to, and whether that
+ * session has closed: { date, closed }
+ */
+export function currentSession(now = new Date(), schedule = getSchedule()) {
+    const { date, time } = marketClock(now);
+    if (!isTradingDay(date) || time < schedule.rollTime) {
+        return { date: previousTradingDay(date), closed: true };
+    }
+    return { date, closed: time >= schedule.closeTime };
+}
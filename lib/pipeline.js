@@ -0,0 +1,190 @@
+/**
+ * Price Update Pipeline
+ *
+ * Collects prices from every configured source (lib/sources/), merges them
+ * by per-field priority with fallback, validates the result and publishes
+ * it to data/snapshots/current.json (or quarantines it).
+ * Run once by scripts/updatePrices.js, or on a schedule by scripts/scheduler.js.
+ */
+
+import { readSnapshot, writeSnapshot } from './priceStore.js';
+import { appendHistoryRecord, getPreviousRecord, readHistoryWithCurrent, recordFromSnapshot } from './priceHistory.js';
+import { appendFxRate, resolveFxRate } from './fxRates.js';
+import { validateSnapshot } from './snapshotSchema.js';
+import { validateScrape } from './scrapeValidation.js';
+import { quarantineSnapshot } from './quarantine.js';
+import { collectPrices } from './sources/index.js';
+import { contractLabel, mergeContracts } from './contracts.js';
+import { currentSession } from './marketSchedule.js';
+import { appendRun, createRunId } from './runLog.js';
+
+/**
+ * Log what each source returned and which source won each field
+ */
+function reportSources(data) {
+    data.sources.forEach(({ source, error, issues }) => {
+        if (error) {
+            console.log(`❌ ${source} failed: ${error}`);
+            return;
+        }
+        console.log(`📥 ${source}: ${issues.length} issues`);
+        issues.forEach(issue => console.log(`   ⚠️ ${issue.field}: ${issue.message}`));
+    });
+
+    const used = {};
+    const count = (source) => { used[source] = (used[source] || 0) + 1; };
+    Object.values(data.products).forEach(v => count(v.source));
+    data.futures.forEach(f => count(f.source));
+    Object.entries(used).forEach(([source, n]) => console.log(`🏷️ ${n} values from ${source}`));
+    if (data.fx) console.log(`🏷️ FX rate from ${data.fx.source}`);
+}
+
+/**
+ * Merge scraped values into the current snapshot and publish it, or hold it
+ * in data/quarantine/ if it fails validation (lib/scrapeValidation.js).
+ * When a new session (lib/marketSchedule.js) is published the snapshot it
+ * replaces is appended to the daily history as that session's close; a
+ * quarantined scrape archives nothing.
+ */
+function updateSnapshots(data, runId) {
+    if (Object.keys(data.products).length === 0 && data.futures.length === 0) {
+        console.error('❌ No source returned any prices, snapshot left unchanged');
+        return { status: 'empty', date: null, problems: [] };
+    }
+
+    const session = currentSession();
+    const today = session.date;
+    const current = readSnapshot('current');
+    console.log(`🕒 Session ${today} (${session.closed ? 'closed' : 'intraday'})`);
+
+    // 0. RECORD FX RATE (kept even if the price snapshot is rejected below)
+    if (data.fx) {
+        try {
+            appendFxRate({ ...data.fx, date: data.fx.date || today });
+            console.log(`💱 Recorded ${data.fx.pair} ${data.fx.rate}`);
+        } catch (error) {
+            console.error('❌ FX rate rejected:', error.message);
+        }
+    } else {
+        console.log('⚠️ No source returned an FX rate, futures will use the last recorded or manual rate');
+    }
+
+    // 1. MERGE SCRAPED VALUES INTO THE CURRENT SNAPSHOT
+    // The current snapshot counts as history here; it is only archived once replaced
+    const previous = getPreviousRecord(readHistoryWithCurrent(current), today);
+    const products = { ...current.products };
+
+    // A product's values are replaced as a whole so no field outlives the source that set it
+    Object.entries(data.products).forEach(([id, values]) => {
+        products[id] = { ...values };
+
+        // Change calculation against the previous trading day. The source's own
+        // changes are replaced so no field measures against another baseline.
+        const prev = previous?.products[id]?.price;
+        if (prev) {
+            const prevCNY = previous.products[id].priceCNY;
+            products[id].changeUSD = Math.round((values.price - prev) * 100) / 100;
+            products[id].changeCNY = prevCNY && values.priceCNY ? Math.round((values.priceCNY - prevCNY) * 100) / 100 : null;
+            products[id].changePercent = Math.round(((values.price - prev) / prev) * 100 * 100) / 100;
+        }
+    });
+
+    // New GFEX listings join the strip; expired contracts leave it
+    const { futures, added, expired } = mergeContracts(current.futures, data.futures || [], today);
+    added.forEach(code => console.log(`🆕 New contract listed: ${code} (${contractLabel(code)})`));
+    expired.forEach(code => console.log(`📦 Contract expired: ${code}, kept in history only`));
+
+    const snapshot = {
+        ...current,
+        date: today,
+        closed: session.closed,
+        scrapedAt: new Date().toISOString(),
+        runId,
+        products,
+        futures,
+    };
+
+    // 2. VALIDATE (a rejected scrape leaves snapshot and history untouched)
+    // Only this run's products are checked, as they will be published (with the recomputed changes)
+    const scraped = {
+        ...data,
+        products: Object.fromEntries(Object.keys(data.products).map(id => [id, products[id]])),
+    };
+    const fxRate = data.fx?.rate ?? resolveFxRate(today).rate;
+    const problems = [
+        ...validateSnapshot('current', snapshot).map(message => ({ check: 'schema', field: 'current', message })),
+        ...validateScrape(scraped, { previous, fxRate }),
+    ];
+
+    if (problems.length > 0) {
+        const entry = quarantineSnapshot(snapshot, problems);
+        problems.forEach(p => console.error(`❌ [${p.check}] ${p.field}: ${p.message}`));
+        console.error(`🚧 Scrape quarantined as ${entry.id}, snapshot left unchanged`);
+        return { status: 'quarantined', date: today, problems, quarantineId: entry.id };
+    }
+
+    // 3. PUBLISH, ARCHIVING THE SESSION IT REPLACES TO HISTORY (once per session)
+    if (current.date !== today) {
+        if (current.closed === false) {
+            console.log(`⚠️ No run after the ${current.date} close, archiving its last intraday quote`);
+        }
+        console.log(`📅 Appending prices from ${current.date} to daily history...`);
+        appendHistoryRecord(recordFromSnapshot(current));
+    }
+
+    writeSnapshot('current', snapshot);
+    console.log('✅ Snapshot updated successfully');
+    return { status: 'published', date: today, problems: [] };
+}
+
+/**
+ * Tag every scraped value with the run that produced it
+ */
+function tagRun(data, runId) {
+    return {
+        ...data,
+        products: Object.fromEntries(Object.entries(data.products).map(([id, values]) => [id, { ...values, runId }])),
+        futures: data.futures.map(f => ({ ...f, runId })),
+    };
+}
+
+/**
+ * Run log entry for a finished (or failed) run (lib/runLog.js)
+ */
+function logEntry(run, data, { outcome, error = null, problems, quarantineId = null }) {
+    return {
+        ...run,
+        finishedAt: new Date().toISOString(),
+        outcome,
+        error,
+        quarantineId,
+        sources: data?.sources ?? [],
+        values: data ? { products: data.products, futures: data.futures, fx: data.fx } : null,
+        problems,
+    };
+}
+
+/**
+ * Run the whole pipeline once: fetch from every source, validate, then
+ * publish or quarantine, and record the run in the run log.
+ * Resolves to { runId, status, date, problems, quarantineId? } with status
+ * 'published', 'quarantined' or 'empty' (no source returned prices).
+ */
+export async function runPipeline() {
+    const startedAt = new Date().toISOString();
+    const runId = createRunId(startedAt);
+    console.log(`🧾 Run ${runId}`);
+
+    const run = { id: runId, startedAt, session: currentSession() };
+    let data = null;
+    try {
+        data = tagRun(await collectPrices(), runId);
+        reportSources(data);
+        const outcome = updateSnapshots(data, runId);
+        appendRun(logEntry(run, data, { outcome: outcome.status, ...outcome }));
+        return { runId, ...outcome };
+    } catch (error) {
+        appendRun(logEntry(run, data, { outcome: 'failed', error: error.message, problems: [] }));
+        throw error;
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Average Prices
+ *
+ * Period averages of a daily price series ([{ date, usd, cny }], oldest
+ * first, from lib/historySeries.js) for pricing offtake contracts, which
+ * usually settle on the monthly average of the SMM assessment rather than
+ * the daily print. Calendar months, quarter-to-date and custom windows.
+ *
+ * Two averages per window, over trading days only (lib/tradingCalendar.js):
+ * - simple: the mean of the assessments published on trading days in the window
+ * - weighted: the mean over every trading day in the window, each day taking
+ *   the latest assessment on or before it, so a print that stood for several
+ *   sessions counts that many times and a missed day doesn't shift the average
+ *
+ * USD and CNY are averaged separately, each over the days that have a
+ * price in that currency, and report their own day counts.
+ *
+ * Windows end at the latest price, never in the future.
+ * Pure functions only - shared by the API and the dashboard.
+ */
+
+import { addDays, isTradingDay } from './tradingCalendar.js';
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function mean(values) {
+    if (values.length === 0) return null;
+    return round(values.reduce((sum, v) => sum + v, 0) / values.length);
+}
+
+function lastDayOfMonth(month) {
+    const [year, m] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, m, 0)).toISOString().split('T')[0];
+}
+
+/**
+ * Simple and weighted average of one currency's prices ([{ date, value }],
+ * trading days only) over from..end, with the number of days behind each
+ */
+function averageCurrency(prices, from, end) {
+    const published = prices.filter(p => p.date >= from && p.date <= end);
+
+    const sessions = [];
+    let next = 0;
+    let standing = null;
+    for (let date = from; date <= end; date = addDays(date, 1)) {
+        if (!isTradingDay(date)) continue;
+        while (next < prices.length && prices[next].date <= date) standing = prices[next++];
+        if (standing) sessions.push(standing);
+    }
+
+    return {
+        simple: mean(published.map(p => p.value)),
+        weighted: mean(sessions.map(p => p.value)),
+        pricingDays: published.length,
+        tradingDays: sessions.length,
+    };
+}
+
+/**
+ * Averages for from..to (inclusive YYYY-MM-DD):
+ * { from, to, pricingDays, tradingDays, simple, weighted }, each { usd, cny }
+ * `pricingDays` is the number of assessments averaged by `simple`, `tradingDays`
+ * the number of sessions averaged by `weighted`. `to` is capped at the latest
+ * price; averages are null when the window has no prices in that currency.
+ */
+export function averagePrices(points, from, to) {
+    const latest = points.length > 0 ? points[points.length - 1].date : null;
+    const end = latest && latest < to ? latest : to;
+    const inCurrency = (key) => averageCurrency(
+        points
+            .filter(p => p[key] !== null && p[key] !== undefined && isTradingDay(p.date))
+            .map(p => ({ date: p.date, value: p[key] })),
+        from,
+        end,
+    );
+    const usd = inCurrency('usd');
+    const cny = inCurrency('cny');
+
+    return {
+        from,
+        to: end,
+        pricingDays: { usd: usd.pricingDays, cny: cny.pricingDays },
+        tradingDays: { usd: usd.tradingDays, cny: cny.tradingDays },
+        simple: { usd: usd.simple, cny: cny.simple },
+        weighted: { usd: usd.weighted, cny: cny.weighted },
+    };
+}
+
+/**
+ * Calendar-month averages for the `count` months up to the latest price,
+ * newest first: [{ period: 'YYYY-MM', partial, ...averagePrices() }]
+ * `partial` marks a month the prices don't run to the end of yet.
+ */
+export function monthlyAverages(points, count = 6) {
+    if (points.length === 0) return [];
+    const latest = points[points.length - 1].date;
+    const [year, month] = latest.split('-').map(Number);
+
+    return Array.from({ length: count }, (_, i) => {
+        const start = new Date(Date.UTC(year, month - 1 - i, 1)).toISOString().split('T')[0];
+        const period = start.slice(0, 7);
+        const end = lastDayOfMonth(period);
+        return { period, partial: latest < end, ...averagePrices(points, start, end) };
+    });
+}
+
+/**
+ * Quarter-to-date averages up to the latest price: { period: 'Q4 2026', ...averagePrices() }
+ */
+export function quarterToDate(points) {
+    if (points.length === 0) return null;
+    const latest = points[points.length - 1].date;
+    const [year, month] = latest.split('-').map(Number);
+    const quarter = Math.floor((month - 1) / 3);
+    const start = `${year}-${String(quarter * 3 + 1).padStart(2, '0')}-01`;
+    return { period: `Q${quarter + 1} ${year}`, ...averagePrices(points, start, latest) };
+}
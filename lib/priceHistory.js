@@ -0,0 +1,136 @@
+/**
+ * Daily Price History
+ *
+ * Append-only time series with one record per trading day, stored as
+ * JSON Lines in data/history/daily.jsonl. Records are never edited in
+ * place: a late correction is appended as a new record for the same date
+ * and the most recently appended record wins when the file is read.
+ * `compactHistory()` rewrites the file with duplicate days removed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+    DATA_DIR,
+    SnapshotValidationError,
+    readJSONLines,
+    latestPerDate,
+    writeJSONLinesAtomic,
+} from './priceStore.js';
+import { SCHEMA_VERSION, validateSnapshot } from './snapshotSchema.js';
+import { readFxHistory, resolveFxRate } from './fxRates.js';
+import { isTradingDay } from './tradingCalendar.js';
+
+export const HISTORY_PATH = path.join(DATA_DIR, 'history', 'daily.jsonl');
+
+/**
+ * Read the effective history: one record per day, oldest first
+ */
+export function readHistory(filePath = HISTORY_PATH) {
+    return latestPerDate(readJSONLines(filePath, 'historyRecord'));
+}
+
+/**
+ * Keep only the set values of `fields`
+ */
+function pick(values, fields) {
+    return Object.fromEntries(fields
+        .filter(field => values[field] !== null && values[field] !== undefined)
+        .map(field => [field, values[field]]));
+}
+
+/**
+ * Build a history record from a current price snapshot. Each value keeps
+ * the source and run that produced it (lib/runLog.js).
+ */
+export function recordFromSnapshot(snapshot) {
+    const record = {
+        schemaVersion: SCHEMA_VERSION,
+        date: snapshot.date,
+        recordedAt: new Date().toISOString(),
+        runId: snapshot.runId ?? null,
+        products: Object.fromEntries(Object.entries(snapshot.products).map(([id, values]) => [
+            id,
+            pick(values, ['price', 'priceCNY', 'source', 'runId']),
+        ])),
+        // VAT-inclusive prices only; the VAT-exclusive basis is derived (lib/vat.js)
+        futures: snapshot.futures.map(f => {
+            const { month: _month, priceCNYExVat: _exVat, ...values } = f;
+            return values;
+        }),
+    };
+    record.conversionRate = resolveFxRate(snapshot.date).rate;
+    return record;
+}
+
+/**
+ * Effective history with the current snapshot appended as the latest day
+ * (unless that day has already been archived). A record archived without a
+ * USD/CNY rate gets the one recorded for its date (lib/fxRates.js).
+ */
+export function readHistoryWithCurrent(current, filePath = HISTORY_PATH, fxHistory = readFxHistory()) {
+    const records = readHistory(filePath).map(record => (record.conversionRate
+        ? record
+        : { ...record, conversionRate: resolveFxRate(record.date, fxHistory).rate }));
+    if (records.some(r => r.date === current.date)) return records;
+    return [...records.filter(r => r.date < current.date), recordFromSnapshot(current)];
+}
+
+/**
+ * Validate and append a record. Appending a record for a date that
+ * already exists supersedes the earlier one.
+ */
+export function appendHistoryRecord(record, filePath = HISTORY_PATH) {
+    const errors = validateSnapshot('historyRecord', record);
+    if (errors.length > 0) throw new SnapshotValidationError('historyRecord', errors);
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+}
+
+/**
+ * Append a corrected record for an existing day.
+ * `patch` may set product values by product id and futures by contract code:
+ * { products: { carbonate: { price } }, futures: { LC2607: 169780 } }
+ */
+export function correctHistoryRecord(date, patch, filePath = HISTORY_PATH) {
+    const existing = readHistory(filePath).find(r => r.date === date);
+    if (!existing) throw new Error(`No history record for ${date}`);
+
+    const futuresPatch = new Map(Object.entries(patch.futures || {}));
+    const corrected = {
+        ...existing,
+        correctedAt: new Date().toISOString(),
+        products: Object.fromEntries(
+            [...new Set([...Object.keys(existing.products), ...Object.keys(patch.products || {})])]
+                .map(id => [id, { ...existing.products[id], ...patch.products?.[id] }])
+        ),
+        futures: existing.futures.map(f => (
+            futuresPatch.has(f.contract) ? { ...f, priceCNY: futuresPatch.get(f.contract) } : f
+        )),
+    };
+
+    appendHistoryRecord(corrected, filePath);
+    return corrected;
+}
+
+/**
+ * Rewrite the history file with duplicate days and invalid lines removed
+ */
+export function compactHistory(filePath = HISTORY_PATH) {
+    const raw = readJSONLines(filePath, 'historyRecord');
+    const records = latestPerDate(raw);
+    writeJSONLinesAtomic(filePath, records);
+    return { before: raw.length, after: records.length };
+}
+
+/**
+ * Get the previous trading day's record: the most recent one strictly
+ * before `date`, skipping any dated on a weekend or exchange holiday
+ */
+export function getPreviousRecord(records, date) {
+    for (let i = records.length - 1; i >= 0; i--) {
+        if (records[i].date < date && isTradingDay(records[i].date)) return records[i];
+    }
+    return null;
+}
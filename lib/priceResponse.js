@@ -0,0 +1,184 @@
+/**
+ * Price Response
+ *
+ * Builds the /api/prices response from the stored data: every catalog
+ * product (lib/products.js) with its change against the previous trading
+ * day, and the active futures with their latest, open, high and low in CNY
+ * and USD (converted with the recorded USD/CNY rate, lib/fxRates.js).
+ * Month labels come from the contract code, and contracts past their last
+ * trading day (lib/tradingCalendar.js) are left out.
+ *
+ * `rates` is the FX table for the price date (lib/currencies.js), so
+ * clients can show any price in another currency along with the rate's date.
+ * `curve` is the shape of the futures curve (lib/curveAnalytics.js): basis
+ * to spot, consecutive spreads, annualized carry and contango/backwardation.
+ */
+
+import { readSnapshot } from './priceStore.js';
+import { readHistory, getPreviousRecord } from './priceHistory.js';
+import { PRODUCT_CATALOG } from './products.js';
+import { contractLabel, isContractExpired, parseContract, tradingDaysToExpiry } from './contracts.js';
+import { exchangeToday } from './tradingCalendar.js';
+import { readFxHistory, resolveFxRate, resolveRateTable } from './fxRates.js';
+import { removeVat } from './vat.js';
+import { analyzeCurve } from './curveAnalytics.js';
+
+function calculateChange(current, previous) {
+    if (!previous || previous === 0) return null;
+    return ((current - previous) / previous) * 100;
+}
+
+function round2(value) {
+    if (value === null || value === undefined) return null;
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Stored product values on the requested VAT basis (stored values are VAT-inclusive)
+ */
+function valuesOnBasis(product, values, vat) {
+    if (vat === 'incl' || product.vatExempt) return values;
+    const excl = (value) => removeVat(value);
+    return {
+        ...values,
+        price: values.priceExVat ?? excl(values.price),
+        priceCNY: values.priceCNYExVat ?? excl(values.priceCNY),
+        changeUSD: excl(values.changeUSD),
+        changeCNY: excl(values.changeCNY),
+        low: excl(values.low),
+        high: excl(values.high),
+    };
+}
+
+/**
+ * Merge catalog metadata with stored values and the change vs the previous trading day.
+ * `change` (USD) and `changeCNY` share one baseline: the previous trading day's
+ * record when there is one (changeCNY is null if that record has no CNY price),
+ * else the change the source published. The stored changeUSD is left out.
+ */
+function buildProduct(product, stored, previousStored, vat) {
+    const { changeUSD, changeCNY, ...values } = valuesOnBasis(product, stored, vat);
+    const previous = previousStored && valuesOnBasis(product, previousStored, vat);
+    const hasBaseline = Boolean(previous?.price);
+    const change = hasBaseline ? values.price - previous.price : changeUSD;
+    const changePercent = hasBaseline ? calculateChange(values.price, previous.price) : values.changePercent;
+    let cnyChange = changeCNY ?? null;
+    if (hasBaseline) cnyChange = previous.priceCNY && values.priceCNY ? values.priceCNY - previous.priceCNY : null;
+
+    return {
+        id: product.id,
+        name: product.name,
+        grade: product.grade,
+        group: product.group,
+        ...values,
+        change: round2(change),
+        changeCNY: round2(cnyChange),
+        changePercent: round2(changePercent),
+        unit: product.unit,
+        spotOnly: !product.hasFutures,
+    };
+}
+
+export function buildResponse(prices, history, fx, rates, vat, pairs = []) {
+    const conversionRate = fx.rate;
+
+    // Calculate variations strictly against the previous trading day
+    const products = Object.fromEntries(
+        PRODUCT_CATALOG
+            .filter(product => prices.products[product.id])
+            .map(product => [
+                product.id,
+                buildProduct(product, prices.products[product.id], history.products?.[product.id], vat),
+            ])
+    );
+
+    // Build history map for futures
+    const historyFuturesMap = new Map(
+        (history?.futures || []).map(f => [f.contract, f.priceCNY])
+    );
+
+    const toUSD = (priceCNY) => (priceCNY === null || priceCNY === undefined
+        ? null
+        : Math.round(priceCNY / conversionRate));
+
+    // GFEX quotes are VAT-inclusive
+    const onBasis = (priceCNY) => (vat === 'excl' ? removeVat(priceCNY) : priceCNY ?? null);
+
+    // Convert futures to USD and calculate changes (percent changes are the same on either basis)
+    // A stale snapshot may still list contracts that have since expired
+    const today = exchangeToday();
+    const futuresUSD = prices.futures.filter(f => !isContractExpired(f.contract, today)).map(f => {
+        const historyPriceCNY = historyFuturesMap.get(f.contract);
+        const changePercent = historyPriceCNY
+            ? calculateChange(f.priceCNY, historyPriceCNY)
+            : null;
+        const priceCNY = vat === 'excl' ? f.priceCNYExVat ?? removeVat(f.priceCNY) : f.priceCNY;
+        const openCNY = onBasis(f.openCNY);
+        const highCNY = onBasis(f.highCNY);
+        const lowCNY = onBasis(f.lowCNY);
+        const meta = parseContract(f.contract);
+
+        return {
+            contract: f.contract,
+            month: contractLabel(f.contract),
+            deliveryMonth: meta?.deliveryMonth ?? null,
+            lastTradingDay: meta?.lastTradingDay ?? null,
+            daysToExpiry: tradingDaysToExpiry(f.contract, today),
+            priceCNY,
+            price: toUSD(priceCNY),
+            openCNY,
+            highCNY,
+            lowCNY,
+            open: toUSD(openCNY),
+            high: toUSD(highCNY),
+            low: toUSD(lowCNY),
+            date: f.date || null,
+            source: f.source || null,
+            runId: f.runId || null,
+            change: round2(changePercent),
+        };
+    });
+
+    const spot = products.carbonate && { ...products.carbonate, date: products.carbonate.date ?? prices.date };
+
+    return {
+        products,
+        // Top-level carbonate/spodumene kept for existing API consumers
+        carbonate: products.carbonate,
+        spodumene: products.spodumene,
+        futures: futuresUSD,
+        curve: analyzeCurve(spot, futuresUSD, pairs, conversionRate),
+        conversionRate: Math.round(conversionRate * 10000) / 10000,
+        // Which rate converted the futures: { rate, pair, source, label, date }
+        fx,
+        // Rate per USD for each display currency: { rate, pair, source, label, date } or null
+        rates,
+        vat,
+        // Session the prices belong to, and whether they are its official close
+        session: { date: prices.date, closed: prices.closed ?? true },
+        // Run that last published the snapshot; each value also carries its own runId
+        runId: prices.runId ?? null,
+        // When the prices were actually scraped (null if never), not the time of this request
+        lastUpdated: prices.scrapedAt ?? null,
+        historyDate: history?.date || null,
+    };
+}
+
+/**
+ * Read the current snapshot, the previous trading day and the FX rates and
+ * build the response on a VAT basis, with chosen [near, far] spread pairs.
+ * Throws when the stored data cannot be read.
+ */
+export function loadPriceResponse(vat = 'incl', pairs = []) {
+    const prices = readSnapshot('current');
+    const history = getPreviousRecord(readHistory(), prices.date) || {};
+    const fxHistory = readFxHistory();
+    return buildResponse(
+        prices,
+        history,
+        resolveFxRate(prices.date, fxHistory),
+        resolveRateTable(prices.date, fxHistory),
+        vat,
+        pairs,
+    );
+}
@@ -0,0 +1,106 @@
+/**
+ * Price Store
+ *
+ * Reads and writes the JSON snapshot files in data/snapshots/ and the
+ * JSON Lines history files in data/history/.
+ * Every snapshot is checked against the schema on both write and read,
+ * so a bad scrape is rejected before it can reach the API.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { upgradeSnapshot, validateSnapshot } from './snapshotSchema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DATA_DIR = process.env.PRICE_DATA_DIR || path.join(__dirname, '..', 'data');
+const SNAPSHOT_DIR = path.join(DATA_DIR, 'snapshots');
+
+export class SnapshotValidationError extends Error {
+    constructor(kind, errors) {
+        super(`Invalid ${kind} snapshot: ${errors.join('; ')}`);
+        this.name = 'SnapshotValidationError';
+        this.kind = kind;
+        this.errors = errors;
+    }
+}
+
+function snapshotPath(kind) {
+    return path.join(SNAPSHOT_DIR, `${kind}.json`);
+}
+
+/**
+ * Write a file atomically (temp file + rename) so readers never see a partial file
+ */
+function writeFileAtomic(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, content);
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Write pretty-printed JSON, atomically
+ */
+export function writeJSONAtomic(filePath, data) {
+    writeFileAtomic(filePath, JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * Write one JSON document per line, atomically
+ */
+export function writeJSONLinesAtomic(filePath, items) {
+    writeFileAtomic(filePath, items.map(item => JSON.stringify(item) + '\n').join(''));
+}
+
+/**
+ * Read, upgrade to the current schema version and validate a snapshot
+ */
+export function readSnapshot(kind) {
+    const snapshot = upgradeSnapshot(JSON.parse(fs.readFileSync(snapshotPath(kind), 'utf8')));
+    const errors = validateSnapshot(kind, snapshot);
+    if (errors.length > 0) throw new SnapshotValidationError(kind, errors);
+    return snapshot;
+}
+
+/**
+ * Validate and write a snapshot. Throws without touching the file if invalid.
+ */
+export function writeSnapshot(kind, snapshot) {
+    const errors = validateSnapshot(kind, snapshot);
+    if (errors.length > 0) throw new SnapshotValidationError(kind, errors);
+    writeJSONAtomic(snapshotPath(kind), snapshot);
+}
+
+/**
+ * Read a JSON Lines file in file order (upgraded to the current schema version),
+ * skipping (and reporting) lines that are not a valid `kind` record
+ */
+export function readJSONLines(filePath, kind) {
+    if (!fs.existsSync(filePath)) return [];
+
+    const records = [];
+    fs.readFileSync(filePath, 'utf8').split('\n').forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+            const record = upgradeSnapshot(JSON.parse(line));
+            const errors = validateSnapshot(kind, record);
+            if (errors.length > 0) throw new SnapshotValidationError(kind, errors);
+            records.push(record);
+        } catch (error) {
+            console.warn(`⚠️ Skipping ${path.basename(filePath)} line ${i + 1}: ${error.message}`);
+        }
+    });
+    return records;
+}
+
+/**
+ * Collapse dated records to one per date (last appended wins), sorted by date
+ */
+export function latestPerDate(records) {
+    const byDate = new Map();
+    records.forEach(record => byDate.set(record.date, record));
+    return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
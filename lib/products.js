@@ -0,0 +1,186 @@
+/**
+ * Product Catalog
+ *
+ * Every spot product the tracker follows. Add an entry here to have it
+ * scraped, stored, served by the API and listed in the dashboard.
+ *
+ * - label:     short name for tabs and menus
+ * - smm.view:  which SMM Lithium tab lists the row ('compounds' or 'ore')
+ * - smm.row:   exact row name (string) or a pattern (RegExp)
+ * - smm.unit:  'mt' or 'kg', as printed in the row label
+ * - featured:  shown as a tab in the dashboard (others are in the "More" menu)
+ * - required:  a scrape without this product is incomplete
+ * - hasFutures: GFEX futures are listed for it (curve and contracts table)
+ * - plausible: [min, max] VAT-inclusive USD price per smm.unit; a scrape
+ *              outside it is quarantined (see lib/scrapeValidation.js)
+ * - vatExempt: import price with no Chinese VAT (see lib/vat.js)
+ */
+
+export const PRODUCT_CATALOG = [
+    {
+        id: 'carbonate',
+        label: 'Carbonate',
+        name: 'LITHIUM CARBONATE',
+        grade: '99.5%',
+        group: 'Carbonate',
+        unit: 'USD/T',
+        smm: { view: 'compounds', row: 'Battery-Grade Lithium Carbonate', unit: 'mt' },
+        plausible: [3000, 100000],
+        featured: true,
+        required: true,
+        hasFutures: true,
+    },
+    {
+        id: 'hydroxide',
+        label: 'Hydroxide',
+        name: 'LITHIUM HYDROXIDE',
+        grade: 'Battery · Coarse',
+        group: 'Hydroxide',
+        unit: 'USD/T',
+        smm: { view: 'compounds', row: 'Battery-Grade Lithium Hydroxide (Coarse Particles)', unit: 'mt' },
+        plausible: [3000, 100000],
+        featured: true,
+    },
+    {
+        id: 'spodumene',
+        label: 'Spodumene',
+        name: 'SPODUMENE CONCENTRATE',
+        grade: '6.0%',
+        group: 'Ore',
+        unit: 'USD/T',
+        smm: { view: 'ore', row: /Spodumene Concentrate Index/, unit: 'mt' },
+        plausible: [300, 10000],
+        vatExempt: true,
+        featured: true,
+        required: true,
+    },
+    {
+        id: 'carbonateIndex',
+        label: 'Carbonate Index',
+        name: 'SMM LITHIUM CARBONATE INDEX',
+        grade: 'Battery',
+        group: 'Carbonate',
+        unit: 'USD/T',
+        smm: { view: 'compounds', row: 'SMM Battery-Grade Lithium Carbonate Index', unit: 'mt' },
+        plausible: [3000, 100000],
+    },
+    {
+        id: 'carbonateIndustrial',
+        label: 'Industrial Carbonate',
+        name: 'LITHIUM CARBONATE',
+        grade: 'Industrial',
+        group: 'Carbonate',
+        unit: 'USD/T',
+        smm: { view: 'compounds', row: 'Industrial-Grade Lithium Carbonate', unit: 'mt' },
+        plausible: [3000, 100000],
+    },
+    {
+        id: 'carbonateCIF',
+        label: 'Carbonate CIF CJK',
+        name: 'LITHIUM CARBONATE CIF CJK',
+        grade: 'Battery',
+        group: 'Carbonate',
+        unit: 'USD/KG',
+        smm: { view: 'compounds', row: 'Battery-Grade Lithium Carbonate (CIF China, Japan and South Korea)', unit: 'kg' },
+        plausible: [3, 100],
+        vatExempt: true,
+    },
+    {
+        id: 'hydroxideIndex',
+        label: 'Hydroxide Index',
+        name: 'SMM LITHIUM HYDROXIDE INDEX',
+        grade: 'Battery',
+        group: 'Hydroxide',
+        unit: 'USD/T',
+        smm: { view: 'compounds', row: 'SMM Battery-Grade Lithium Hydroxide Index', unit: 'mt' },
+        plausible: [3000, 100000],
+    },
+    {
+        id: 'hydroxideMicro',
+        label: 'Hydroxide Micro Powder',
+        name: 'LITHIUM HYDROXIDE',
+        grade: 'Battery · Micro Powder',
+        group: 'Hydroxide',
+        unit: 'USD/T',
+        smm: { view: 'compounds', row: 'Battery-Grade Lithium Hydroxide (Micro Powder)', unit: 'mt' },
+        plausible: [3000, 100000],
+    },
+    {
+        id: 'hydroxideIndustrial',
+        label: 'Industrial Hydroxide',
+        name: 'LITHIUM HYDROXIDE',
+        grade: 'Industrial',
+        group: 'Hydroxide',
+        unit: 'USD/T',
+        smm: { view: 'compounds', row: 'Industrial-Grade Lithium Hydroxide', unit: 'mt' },
+        plausible: [3000, 100000],
+    },
+    {
+        id: 'hydroxideCIF',
+        label: 'Hydroxide CIF CJK',
+        name: 'LITHIUM HYDROXIDE CIF CJK',
+        grade: 'Battery',
+        group: 'Hydroxide',
+        unit: 'USD/KG',
+        smm: { view: 'compounds', row: 'Battery-Grade Lithium Hydroxide (CIF China, Japan and South Korea)', unit: 'kg' },
+        plausible: [3, 100],
+        vatExempt: true,
+    },
+    {
+        id: 'sulfateAfrica',
+        label: 'Lithium Sulfate (Africa)',
+        name: 'LITHIUM SULFATE',
+        grade: 'Africa · CIF China',
+        group: 'Other',
+        unit: 'USD/T',
+        smm: { view: 'compounds', row: 'Lithium Sulfate from Africa (CIF China)', unit: 'mt' },
+        plausible: [1000, 40000],
+        vatExempt: true,
+    },
+    {
+        id: 'lipf6',
+        label: 'LiPF6',
+        name: 'LIPF6',
+        grade: 'Domestic',
+        group: 'Other',
+        unit: 'USD/T',
+        smm: { view: 'compounds', row: 'LiPF6 (Domestic)', unit: 'mt' },
+        plausible: [3000, 100000],
+    },
+    {
+        id: 'lithiumChloride',
+        label: 'Lithium Chloride',
+        name: 'LITHIUM CHLORIDE',
+        grade: 'LiCl',
+        group: 'Other',
+        unit: 'USD/T',
+        smm: { view: 'compounds', row: 'Lithium Chloride(LiCl)', unit: 'mt' },
+        plausible: [2000, 60000],
+    },
+    {
+        id: 'lithiumSulfide',
+        label: 'Lithium Sulfide',
+        name: 'LITHIUM SULFIDE',
+        grade: 'Battery',
+        group: 'Other',
+        unit: 'USD/KG',
+        smm: { view: 'compounds', row: 'Battery-grade Lithium Sulfide', unit: 'kg' },
+        plausible: [50, 2000],
+    },
+];
+
+export const PRODUCT_IDS = PRODUCT_CATALOG.map(p => p.id);
+
+/**
+ * Look up a catalog entry by id
+ */
+export function getProduct(id) {
+    return PRODUCT_CATALOG.find(p => p.id === id) || null;
+}
+
+/**
+ * Catalog entries listed on a given SMM view ('compounds' or 'ore')
+ */
+export function getProductsForView(view) {
+    return PRODUCT_CATALOG.filter(p => p.smm.view === view);
+}
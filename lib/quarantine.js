@@ -0,0 +1,75 @@
+/**
+ * Scrape Quarantine
+ *
+ * Scrapes that fail validation (lib/scrapeValidation.js) are held in
+ * data/quarantine/ instead of being published, one JSON file per scrape:
+ * { id, quarantinedAt, reasons: [{ check, field, message }], snapshot }
+ *
+ * A held snapshot can be released (published as-is after review) or dropped
+ * with `node scripts/quarantine.js`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR, writeJSONAtomic, writeSnapshot } from './priceStore.js';
+
+export const QUARANTINE_DIR = path.join(DATA_DIR, 'quarantine');
+
+function entryPath(id) {
+    if (!/^[\w-]+$/.test(id)) throw new Error(`Invalid quarantine id: ${id}`);
+    return path.join(QUARANTINE_DIR, `${id}.json`);
+}
+
+/**
+ * Hold a snapshot with the problems that stopped it. Returns the entry.
+ */
+export function quarantineSnapshot(snapshot, reasons) {
+    const quarantinedAt = new Date().toISOString();
+    const entry = {
+        id: quarantinedAt.replace(/[:.]/g, '-'),
+        quarantinedAt,
+        reasons,
+        snapshot,
+    };
+    writeJSONAtomic(entryPath(entry.id), entry);
+    return entry;
+}
+
+/**
+ * All held entries, oldest first
+ */
+export function listQuarantine() {
+    if (!fs.existsSync(QUARANTINE_DIR)) return [];
+    return fs.readdirSync(QUARANTINE_DIR)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => JSON.parse(fs.readFileSync(path.join(QUARANTINE_DIR, file), 'utf8')));
+}
+
+/**
+ * Read one held entry
+ */
+export function readQuarantined(id) {
+    const filePath = entryPath(id);
+    if (!fs.existsSync(filePath)) throw new Error(`No quarantined snapshot ${id}`);
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Publish a held snapshot (still schema-checked) and remove it from quarantine
+ */
+export function releaseQuarantined(id) {
+    const entry = readQuarantined(id);
+    writeSnapshot('current', entry.snapshot);
+    fs.unlinkSync(entryPath(id));
+    return entry;
+}
+
+/**
+ * Remove a held snapshot without publishing it
+ */
+export function dropQuarantined(id) {
+    const entry = readQuarantined(id);
+    fs.unlinkSync(entryPath(id));
+    return entry;
+}
@@ -0,0 +1,125 @@
+/**
+ * Pipeline Run Log
+ *
+ * Every pipeline run (lib/pipeline.js) is appended to data/runs/YYYY-MM.jsonl:
+ * { id, startedAt, finishedAt, session, outcome, error, quarantineId,
+ *   sources: [{ source, startedAt, finishedAt, error, issues, pages: [{ name, hash }] }],
+ *   values: { products, futures, fx }, problems }
+ *
+ * Published values carry the `runId` of the run that scraped them, so any
+ * number in the app can be traced back to its run, its source and the raw
+ * page it was parsed from. Raw page text is kept by SHA-256 hash in
+ * data/runs/pages/ (local only, not committed).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from './priceStore.js';
+
+export const RUNS_DIR = path.join(DATA_DIR, 'runs');
+export const PAGES_DIR = path.join(RUNS_DIR, 'pages');
+
+const RUN_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T[\d-]+Z$/;
+const LOG_FILE_PATTERN = /^\d{4}-\d{2}\.jsonl$/;
+
+/**
+ * New run id from its start time ('2026-01-23T03-30-00-000Z')
+ */
+export function createRunId(startedAt) {
+    return startedAt.replace(/[:.]/g, '-');
+}
+
+function runLogPath(id) {
+    if (!RUN_ID_PATTERN.test(id)) throw new Error(`Invalid run id: ${id}`);
+    return path.join(RUNS_DIR, `${id.slice(0, 7)}.jsonl`);
+}
+
+/**
+ * Runs in one month's log, in the order appended. A line that is not valid
+ * JSON (e.g. cut short by a crash mid-append) is skipped with a warning.
+ */
+function readRunLog(filePath) {
+    const runs = [];
+    fs.readFileSync(filePath, 'utf8').split('\n').forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+            runs.push(JSON.parse(line));
+        } catch (error) {
+            console.warn(`⚠️ Skipping ${path.basename(filePath)} line ${i + 1}: ${error.message}`);
+        }
+    });
+    return runs;
+}
+
+/**
+ * Keep a raw page's text under its hash; returns the hash
+ */
+export function storePage(text) {
+    const hash = crypto.createHash('sha256').update(text).digest('hex');
+    const filePath = path.join(PAGES_DIR, `${hash}.txt`);
+    if (!fs.existsSync(filePath)) {
+        fs.mkdirSync(PAGES_DIR, { recursive: true });
+        fs.writeFileSync(filePath, text);
+    }
+    return hash;
+}
+
+/**
+ * Raw page text for a hash, or null if it is not kept on this machine
+ */
+export function readPage(hash) {
+    if (!/^[a-f0-9]{64}$/.test(hash)) throw new Error(`Invalid page hash: ${hash}`);
+    const filePath = path.join(PAGES_DIR, `${hash}.txt`);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+}
+
+/**
+ * Append a finished run to its month's log
+ */
+export function appendRun(run) {
+    const filePath = runLogPath(run.id);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, JSON.stringify(run) + '\n');
+}
+
+/**
+ * All logged runs, oldest first
+ */
+export function listRuns() {
+    if (!fs.existsSync(RUNS_DIR)) return [];
+    return fs.readdirSync(RUNS_DIR)
+        .filter(name => LOG_FILE_PATTERN.test(name))
+        .sort()
+        .flatMap(name => readRunLog(path.join(RUNS_DIR, name)));
+}
+
+/**
+ * One run by id, or null
+ */
+export function readRun(id) {
+    const filePath = runLogPath(id);
+    if (!fs.existsSync(filePath)) return null;
+    return readRunLog(filePath).find(run => run.id === id) || null;
+}
+
+/**
+ * Most recent successful and unsuccessful runs, newest log files first:
+ * { lastSuccess, lastFailure } as { id, finishedAt, outcome, error } or null
+ */
+export function latestRuns() {
+    const latest = { lastSuccess: null, lastFailure: null };
+    if (!fs.existsSync(RUNS_DIR)) return latest;
+
+    const files = fs.readdirSync(RUNS_DIR).filter(name => LOG_FILE_PATTERN.test(name)).sort().reverse();
+    for (const name of files) {
+        const runs = readRunLog(path.join(RUNS_DIR, name));
+        for (let i = runs.length - 1; i >= 0; i--) {
+            const { id, finishedAt, outcome, error } = runs[i];
+            const key = outcome === 'published' ? 'lastSuccess' : 'lastFailure';
+            if (!latest[key]) latest[key] = { id, finishedAt, outcome, error };
+        }
+        if (latest.lastSuccess && latest.lastFailure) break;
+    }
+    return latest;
+}
@@ -0,0 +1,111 @@
+/**
+ * Scheduler Support
+ *
+ * Pieces of the self-hosted service mode (scripts/scheduler.js) that do not
+ * depend on node-cron: retry with exponential backoff, a lock file so two
+ * runs never overlap (even across processes, e.g. a manual run while the
+ * service is up) and the persisted run state in data/scheduler/state.json:
+ * { lastRun: { startedAt, finishedAt, status, attempts, error }, lastSuccessAt, consecutiveFailures }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR, writeJSONAtomic } from './priceStore.js';
+
+export const SCHEDULER_DIR = path.join(DATA_DIR, 'scheduler');
+export const STATE_PATH = path.join(SCHEDULER_DIR, 'state.json');
+const LOCK_PATH = path.join(SCHEDULER_DIR, 'run.lock');
+
+// A lock older than this is left over from a crashed run
+const LOCK_MAX_AGE_MS = 60 * 60 * 1000;
+
+const EMPTY_STATE = { lastRun: null, lastSuccessAt: null, consecutiveFailures: 0 };
+
+/**
+ * Read the persisted run state (empty state if there is none yet)
+ */
+export function readSchedulerState(filePath = STATE_PATH) {
+    if (!fs.existsSync(filePath)) return { ...EMPTY_STATE };
+    return { ...EMPTY_STATE, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+}
+
+/**
+ * Record a finished run ({ startedAt, finishedAt, status, attempts, error })
+ * and return the new state
+ */
+export function recordRun(run, filePath = STATE_PATH) {
+    const state = readSchedulerState(filePath);
+    const ok = run.status === 'published';
+    const next = {
+        lastRun: run,
+        lastSuccessAt: ok ? run.finishedAt : state.lastSuccessAt,
+        consecutiveFailures: ok ? 0 : state.consecutiveFailures + 1,
+    };
+    writeJSONAtomic(filePath, next);
+    return next;
+}
+
+function processAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Take the run lock. Returns false if another live run holds it.
+ */
+export function acquireLock(lockPath = LOCK_PATH) {
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+    try {
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, since: new Date().toISOString() }), { flag: 'wx' });
+        return true;
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+    }
+
+    const holder = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    const age = Date.now() - Date.parse(holder.since);
+    if (processAlive(holder.pid) && age < LOCK_MAX_AGE_MS) return false;
+
+    console.warn(`⚠️ Removing stale lock from pid ${holder.pid} (${holder.since})`);
+    fs.unlinkSync(lockPath);
+    return acquireLock(lockPath);
+}
+
+/**
+ * Release the run lock if this process holds it
+ */
+export function releaseLock(lockPath = LOCK_PATH) {
+    if (!fs.existsSync(lockPath)) return;
+    const holder = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    if (holder.pid === process.pid) fs.unlinkSync(lockPath);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Call `attempt(n)` until `shouldRetry(result)` is false, waiting
+ * delayMs, 2 x delayMs, 4 x delayMs... in between (a throw counts as a
+ * failure too). Resolves to { result, error, attempts } from the last try.
+ */
+export async function runWithRetry(attempt, { retries, delayMs, shouldRetry = () => false, wait = sleep }) {
+    for (let n = 1; ; n++) {
+        let result = null;
+        let error = null;
+        try {
+            result = await attempt(n);
+        } catch (err) {
+            error = err;
+        }
+
+        const failed = error !== null || shouldRetry(result);
+        if (!failed || n > retries) return { result, error, attempts: n };
+
+        const delay = delayMs * 2 ** (n - 1);
+        console.warn(`🔁 Attempt ${n} failed (${error ? error.message : result.status}), retrying in ${Math.round(delay / 1000)}s`);
+        await wait(delay);
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * Scrape Validation
+ *
+ * Sanity checks run on scraped prices before they are published. The
+ * schema (lib/snapshotSchema.js) only checks shape and types; these
+ * checks catch values that parse fine but cannot be right.
+ *
+ * Each problem is { check, field, message } where check is one of:
+ * - required:    a required product, price, date or quote is missing
+ * - range:       a price is outside the catalog's plausible range
+ * - move:        a price moved more than MAX_DAILY_MOVE_PERCENT vs the previous day
+ * - futuresCount: fewer than MIN_FUTURES_CONTRACTS GFEX contracts
+ * - consistency: CNY price, USD price and FX rate (or a price and its change) disagree
+ *
+ * Pure functions only - used by the scraper and scripts/quarantine.js.
+ */
+
+import { PRODUCT_CATALOG, getProduct } from './products.js';
+
+export const MAX_DAILY_MOVE_PERCENT = 20;
+export const MIN_FUTURES_CONTRACTS = 6;
+
+// GFEX lithium carbonate, CNY/mt (VAT-inclusive)
+const FUTURES_PLAUSIBLE_CNY = [30000, 800000];
+const FX_PLAUSIBLE = [5, 9];
+// SMM converts with its own rate, so allow some drift from the offshore rate
+const FX_TOLERANCE_PERCENT = 3;
+// changePercent is rounded to 2 decimals; allow for rounding of the change itself
+const CHANGE_TOLERANCE_POINTS = 0.5;
+
+function percentMove(value, previous) {
+    return ((value - previous) / previous) * 100;
+}
+
+function formatPercent(value) {
+    return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+function checkProduct(id, values, previous, fxRate, problems) {
+    const product = getProduct(id);
+    const add = (check, field, message) => problems.push({ check, field: `${id}.${field}`, message });
+
+    if (typeof values.price !== 'number') {
+        add('required', 'price', 'price missing');
+        return;
+    }
+    if (!values.date) add('required', 'date', 'assessment date missing');
+
+    const [min, max] = product.plausible;
+    if (values.price < min || values.price > max) {
+        add('range', 'price', `${values.price} outside plausible range ${min}-${max} ${product.unit}`);
+    }
+
+    const prev = previous?.products?.[id]?.price;
+    if (prev) {
+        const move = percentMove(values.price, prev);
+        if (Math.abs(move) > MAX_DAILY_MOVE_PERCENT) {
+            add('move', 'price', `${formatPercent(move)} vs previous day (${prev})`);
+        }
+    }
+
+    if (values.priceCNY && fxRate) {
+        const implied = values.price * fxRate;
+        const gap = percentMove(values.priceCNY, implied);
+        if (Math.abs(gap) > FX_TOLERANCE_PERCENT) {
+            add('consistency', 'priceCNY', `${values.priceCNY} CNY is ${formatPercent(gap)} off ${values.price} USD at ${fxRate}`);
+        }
+    }
+
+    const { changeUSD, changeCNY, changePercent } = values;
+    if (typeof changeUSD === 'number' && typeof changePercent === 'number' && values.price !== changeUSD) {
+        const expected = (changeUSD / (values.price - changeUSD)) * 100;
+        if (Math.abs(expected - changePercent) > CHANGE_TOLERANCE_POINTS) {
+            add('consistency', 'changePercent', `${changePercent}% does not match a ${changeUSD} USD change (${formatPercent(expected)})`);
+        }
+    }
+    if (typeof changeCNY === 'number' && typeof changePercent === 'number' && changeCNY * changePercent < 0) {
+        add('consistency', 'changePercent', `${changePercent}% has the opposite sign of a ${changeCNY} CNY change`);
+    }
+}
+
+function checkFutures(futures, previous, problems) {
+    if (futures.length < MIN_FUTURES_CONTRACTS) {
+        problems.push({
+            check: 'futuresCount',
+            field: 'futures',
+            message: `${futures.length} contracts, expected at least ${MIN_FUTURES_CONTRACTS}`,
+        });
+    }
+
+    const previousPrices = new Map((previous?.futures || []).map(f => [f.contract, f.priceCNY]));
+    const [min, max] = FUTURES_PLAUSIBLE_CNY;
+    futures.forEach(f => {
+        const add = (check, field, message) => problems.push({ check, field: `futures.${f.contract}.${field}`, message });
+
+        if (typeof f.priceCNY !== 'number') {
+            add('required', 'priceCNY', 'price missing');
+            return;
+        }
+        if (f.priceCNY < min || f.priceCNY > max) {
+            add('range', 'priceCNY', `${f.priceCNY} outside plausible range ${min}-${max} CNY/mt`);
+        }
+        const prev = previousPrices.get(f.contract);
+        if (prev) {
+            const move = percentMove(f.priceCNY, prev);
+            if (Math.abs(move) > MAX_DAILY_MOVE_PERCENT) {
+                add('move', 'priceCNY', `${formatPercent(move)} vs previous day (${prev})`);
+            }
+        }
+    });
+}
+
+/**
+ * Check scraped prices ({ products, futures, fx? }) against the previous
+ * trading day's history record and the USD/CNY rate.
+ * Returns a list of problems (empty when the scrape can be published).
+ */
+export function validateScrape(prices, { previous = null, fxRate = null } = {}) {
+    const problems = [];
+    const products = prices.products || {};
+
+    PRODUCT_CATALOG.filter(p => p.required && !products[p.id]).forEach(p => {
+        problems.push({ check: 'required', field: p.id, message: 'required product missing' });
+    });
+    Object.entries(products).forEach(([id, values]) => checkProduct(id, values, previous, fxRate, problems));
+
+    checkFutures(prices.futures || [], previous, problems);
+
+    if (prices.fx) {
+        const [min, max] = FX_PLAUSIBLE;
+        if (prices.fx.rate < min || prices.fx.rate > max) {
+            problems.push({ check: 'range', field: 'fx.rate', message: `${prices.fx.rate} outside plausible range ${min}-${max}` });
+        }
+    }
+
+    return problems;
+}
@@ -0,0 +1,207 @@
+/**
+ * SMM Lithium Page Parser
+ *
+ * Turns the innerText of https://www.metal.com/Lithium (as saved in
+ * data/runs/pages/) into a typed record. No browser or network needed.
+ *
+ * Page layout this relies on:
+ * - GFEX block: "LC2602 (CNY/mt)" followed by Latest, Open, High, Low, Date
+ * - Market tables: "<Name> (USD/mt)" followed by Price Range, Avg., Change, Date
+ * - RATIO & INDEX block: "Offshore RMB HK" followed by Rate, Change, Date
+ *
+ * Which rows are read comes from the product catalog (lib/products.js).
+ * Fields that cannot be read are reported in `issues` as { field, message }
+ * so a layout change names the field that broke instead of yielding null.
+ */
+
+import { getProductsForView } from './products.js';
+
+const FUTURES_LABEL = /^(LC\d{4}) \(CNY\/mt\)$/;
+const ROW_LABEL = /^(.+?) \((USD|CNY)\/(mt|kg)\)$/i;
+const FX_LABEL = 'Offshore RMB HK';
+const PAGE_DATE = /^([A-Z][a-z]{2}) (\d{1,2}), (\d{4})$/;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Split page text into trimmed, non-empty lines (runs of whitespace,
+ * including the non-breaking spaces SMM uses in some labels, become one space)
+ */
+export function toLines(text) {
+    return text.split('\n').map(l => l.replace(/\s+/g, ' ').trim()).filter(l => l);
+}
+
+/**
+ * Parse a number like "20,855.45" or "-124.07". Returns null if not numeric.
+ */
+export function parseNumber(str) {
+    if (typeof str !== 'string' || !/^[+-]?[\d,]+(\.\d+)?$/.test(str.trim())) return null;
+    return parseFloat(str.replace(/,/g, ''));
+}
+
+/**
+ * Parse a page date like "Jan 22, 2026" to "2026-01-22". Returns null if not a date.
+ */
+export function parseDate(str) {
+    const match = typeof str === 'string' && str.trim().match(PAGE_DATE);
+    if (!match) return null;
+    const month = MONTHS.indexOf(match[1]) + 1;
+    if (month === 0) return null;
+    return `${match[3]}-${String(month).padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+}
+
+/**
+ * Parse a price range like "20,411.72-21,299.18"
+ */
+function parseRange(str) {
+    const parts = typeof str === 'string' ? str.split('-') : [];
+    if (parts.length !== 2) return null;
+    const low = parseNumber(parts[0]);
+    const high = parseNumber(parts[1]);
+    return low !== null && high !== null ? { low, high } : null;
+}
+
+/**
+ * Parse every market table row: { name, currency, unit, low, high, price, change, date }
+ * Values that fail to parse are null and listed in row.invalid.
+ */
+export function parseSpotRows(lines) {
+    const rows = [];
+    lines.forEach((line, i) => {
+        if (FUTURES_LABEL.test(line)) return;
+        const match = line.match(ROW_LABEL);
+        if (!match) return;
+
+        const range = parseRange(lines[i + 1]);
+        const row = {
+            name: match[1],
+            currency: match[2].toUpperCase(),
+            unit: match[3].toLowerCase(),
+            low: range?.low ?? null,
+            high: range?.high ?? null,
+            price: parseNumber(lines[i + 2]),
+            change: parseNumber(lines[i + 3]),
+            date: parseDate(lines[i + 4]),
+        };
+        row.invalid = ['low', 'high', 'price', 'change', 'date'].filter(key => row[key] === null);
+        rows.push(row);
+    });
+    return rows;
+}
+
+/**
+ * Parse the GFEX futures block: [{ contract, priceCNY, openCNY, highCNY, lowCNY, date }]
+ * A contract without a readable latest price is dropped; an unreadable
+ * open/high/low/date is kept as null and reported.
+ */
+export function parseFuturesRows(lines, issues = []) {
+    const futures = [];
+    lines.forEach((line, i) => {
+        const match = line.match(FUTURES_LABEL);
+        if (!match) return;
+
+        const contract = match[1];
+        const future = {
+            contract,
+            priceCNY: parseNumber(lines[i + 1]),
+            openCNY: parseNumber(lines[i + 2]),
+            highCNY: parseNumber(lines[i + 3]),
+            lowCNY: parseNumber(lines[i + 4]),
+            date: parseDate(lines[i + 5]),
+        };
+
+        if (future.priceCNY === null) {
+            issues.push({ field: `futures.${contract}.priceCNY`, message: `expected number, got '${lines[i + 1]}'` });
+            return;
+        }
+        ['openCNY', 'highCNY', 'lowCNY', 'date'].forEach((key, offset) => {
+            if (future[key] !== null) return;
+            const expected = key === 'date' ? 'date' : 'number';
+            issues.push({ field: `futures.${contract}.${key}`, message: `expected ${expected}, got '${lines[i + 2 + offset]}'` });
+        });
+        futures.push(future);
+    });
+    return futures;
+}
+
+/**
+ * Parse the offshore RMB rate from the RATIO & INDEX block:
+ * { pair: 'USD/CNH', rate, date }, or null (reported under `fx`)
+ */
+export function parseFxRate(lines, issues = []) {
+    const i = lines.indexOf(FX_LABEL);
+    if (i === -1) {
+        issues.push({ field: 'fx', message: `'${FX_LABEL}' not found` });
+        return null;
+    }
+
+    const rate = parseNumber(lines[i + 1]);
+    if (rate === null) {
+        issues.push({ field: 'fx.rate', message: `expected number, got '${lines[i + 1]}'` });
+        return null;
+    }
+    const date = parseDate(lines[i + 3]);
+    if (date === null) {
+        issues.push({ field: 'fx.date', message: `expected date, got '${lines[i + 3]}'` });
+    }
+    return { pair: 'USD/CNH', rate, date };
+}
+
+/**
+ * Find a row whose name matches, reporting missing/invalid fields under `field`
+ */
+function pickRow(rows, { row: matcher, unit }, currency, field, issues, { required = true } = {}) {
+    const matches = typeof matcher === 'string' ? (name => name === matcher) : (name => matcher.test(name));
+    const row = rows.find(r => matches(r.name) && r.currency === currency && r.unit === unit);
+    if (!row) {
+        if (required) issues.push({ field, message: `row ${matcher} (${currency}/${unit}) not found` });
+        return null;
+    }
+    row.invalid.forEach(key => {
+        issues.push({ field: `${field}.${key}`, message: `could not parse ${key} for '${row.name}'` });
+    });
+    const { invalid: _invalid, ...values } = row;
+    return values;
+}
+
+/**
+ * Pick each catalog product's USD row (reported if missing) and CNY row (optional)
+ */
+function pickProducts(rows, products, issues) {
+    const result = { products: {}, cny: {} };
+    products.forEach(product => {
+        const usd = pickRow(rows, product.smm, 'USD', product.id, issues);
+        if (usd) result.products[product.id] = usd;
+
+        const cny = pickRow(rows, product.smm, 'CNY', `${product.id}CNY`, issues, { required: false });
+        if (cny) result.cny[product.id] = cny;
+    });
+    return result;
+}
+
+/**
+ * Parse the "Lithium Compounds" view: catalog products, GFEX futures and the offshore RMB rate
+ */
+export function parseCompoundsPage(text, products = getProductsForView('compounds')) {
+    const lines = toLines(text);
+    const issues = [];
+    const picked = pickProducts(parseSpotRows(lines), products, issues);
+
+    const futures = parseFuturesRows(lines, issues);
+    if (futures.length === 0) {
+        issues.push({ field: 'futures', message: 'no GFEX contracts found' });
+    }
+
+    const fx = parseFxRate(lines, issues);
+
+    return { ...picked, futures, fx, issues };
+}
+
+/**
+ * Parse the "Lithium Ore" view: catalog products such as the spodumene index
+ */
+export function parseOrePage(text, products = getProductsForView('ore')) {
+    const issues = [];
+    const picked = pickProducts(parseSpotRows(toLines(text)), products, issues);
+    return { ...picked, issues };
+}
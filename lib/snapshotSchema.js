@@ -0,0 +1,216 @@
+/**
+ * Price Snapshot Schema
+ *
+ * Describes the JSON snapshot files in data/snapshots/ and the daily
+ * price and FX history records in data/history/, and checks data against
+ * it before it is written or served.
+ */
+
+import { PRODUCT_CATALOG, PRODUCT_IDS } from './products.js';
+import { CONTRACT_PATTERN } from './contracts.js';
+
+// v1: fixed carbonate/spodumene keys; v2: products map keyed by catalog id
+export const SCHEMA_VERSION = 2;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const nullableNumber = { type: 'number', nullable: true };
+
+const futureSchema = {
+    type: 'object',
+    required: ['contract', 'priceCNY'],
+    properties: {
+        // Month labels and expiry are derived from the code (lib/contracts.js)
+        contract: { type: 'string', pattern: CONTRACT_PATTERN },
+        // GFEX quotes are VAT-inclusive; the VAT-exclusive price is stored next to it
+        priceCNY: { type: 'number', min: 0 },
+        priceCNYExVat: nullableNumber,
+        // Session open/high/low and the GFEX quote date (may lag the snapshot date)
+        openCNY: nullableNumber,
+        highCNY: nullableNumber,
+        lowCNY: nullableNumber,
+        date: { type: 'string', pattern: DATE_PATTERN, nullable: true },
+        // Price source that provided the quote (lib/sources/) and the run that scraped it (lib/runLog.js)
+        source: { type: 'string', nullable: true },
+        runId: { type: 'string', nullable: true },
+    },
+};
+
+// price, priceCNY, changes and low/high are VAT-inclusive (see lib/vat.js)
+const productValuesSchema = {
+    type: 'object',
+    required: ['price'],
+    properties: {
+        price: { type: 'number', min: 0 },
+        priceExVat: nullableNumber,
+        priceCNY: nullableNumber,
+        priceCNYExVat: nullableNumber,
+        changeUSD: nullableNumber,
+        changeCNY: nullableNumber,
+        changePercent: nullableNumber,
+        low: nullableNumber,
+        high: nullableNumber,
+        date: { type: 'string', pattern: DATE_PATTERN, nullable: true },
+        source: { type: 'string', nullable: true },
+        runId: { type: 'string', nullable: true },
+    },
+};
+
+const REQUIRED_PRODUCTS = PRODUCT_CATALOG.filter(p => p.required).map(p => p.id);
+
+const productsSchema = {
+    type: 'object',
+    required: REQUIRED_PRODUCTS,
+    keys: PRODUCT_IDS,
+    values: productValuesSchema,
+};
+
+const SCHEMAS = {
+    // Latest scraped prices (formerly CURRENT_PRICES in api/prices.js)
+    current: {
+        type: 'object',
+        required: ['schemaVersion', 'date', 'products', 'futures'],
+        properties: {
+            schemaVersion: { type: 'number', equals: SCHEMA_VERSION },
+            date: { type: 'string', pattern: DATE_PATTERN },
+            // False while the session is still trading (lib/marketSchedule.js)
+            closed: { type: 'boolean' },
+            scrapedAt: { type: 'string', nullable: true },
+            // Last run that published this snapshot (lib/runLog.js)
+            runId: { type: 'string', nullable: true },
+            products: productsSchema,
+            futures: { type: 'array', items: futureSchema, uniqueBy: 'contract' },
+        },
+    },
+    // One line of the append-only daily history (data/history/daily.jsonl)
+    historyRecord: {
+        type: 'object',
+        required: ['schemaVersion', 'date', 'products', 'futures'],
+        properties: {
+            schemaVersion: { type: 'number', equals: SCHEMA_VERSION },
+            date: { type: 'string', pattern: DATE_PATTERN },
+            recordedAt: { type: 'string', nullable: true },
+            correctedAt: { type: 'string' },
+            // Run that published the archived snapshot; values carry their own runId too
+            runId: { type: 'string', nullable: true },
+            conversionRate: nullableNumber,
+            products: productsSchema,
+            futures: { type: 'array', items: futureSchema, uniqueBy: 'contract' },
+        },
+    },
+    // One line of the FX rate history (data/history/fx.jsonl)
+    fxRecord: {
+        type: 'object',
+        required: ['date', 'pair', 'rate', 'source'],
+        properties: {
+            date: { type: 'string', pattern: DATE_PATTERN },
+            // Units of a registered currency per USD (lib/currencies.js)
+            pair: { type: 'string', pattern: /^USD\/[A-Z]{3}$/ },
+            rate: { type: 'number', min: 0 },
+            source: { type: 'string' },
+            recordedAt: { type: 'string', nullable: true },
+        },
+    },
+};
+
+/**
+ * Upgrade an older snapshot or history record to the current schema version.
+ * Unknown versions are returned unchanged (and then fail validation).
+ */
+export function upgradeSnapshot(snapshot) {
+    if (snapshot?.schemaVersion !== 1) return snapshot;
+
+    const { carbonate, spodumene, ...rest } = snapshot;
+    // v1 stored display metadata next to the values; it now lives in the catalog
+    const METADATA = ['id', 'name', 'grade', 'unit', 'spotOnly'];
+    const values = (product = {}) => Object.fromEntries(
+        Object.entries(product).filter(([key]) => !METADATA.includes(key))
+    );
+    return {
+        ...rest,
+        schemaVersion: 2,
+        products: {
+            carbonate: values(carbonate),
+            spodumene: values(spodumene),
+        },
+    };
+}
+
+/**
+ * Validate a value against a schema node, collecting errors
+ */
+function validateNode(value, schema, at, errors) {
+    if (value === null || value === undefined) {
+        if (!schema.nullable) errors.push(`${at}: expected ${schema.type}, got ${value}`);
+        return;
+    }
+
+    if (schema.type === 'array') {
+        if (!Array.isArray(value)) {
+            errors.push(`${at}: expected array`);
+            return;
+        }
+        value.forEach((item, i) => validateNode(item, schema.items, `${at}[${i}]`, errors));
+        if (schema.uniqueBy) {
+            const seen = new Set();
+            value.forEach((item, i) => {
+                const key = item?.[schema.uniqueBy];
+                if (seen.has(key)) errors.push(`${at}[${i}]: duplicate ${schema.uniqueBy} '${key}'`);
+                seen.add(key);
+            });
+        }
+        return;
+    }
+
+    if (schema.type === 'object') {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            errors.push(`${at}: expected object`);
+            return;
+        }
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${at}.${key}: required`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, child]) => {
+            if (key in value) validateNode(value[key], child, `${at}.${key}`, errors);
+        });
+        // Map-style objects: every key must be allowed and every value match `values`
+        if (schema.values) {
+            Object.entries(value).forEach(([key, child]) => {
+                if (schema.keys && !schema.keys.includes(key)) errors.push(`${at}.${key}: unknown key`);
+                validateNode(child, schema.values, `${at}.${key}`, errors);
+            });
+        }
+        return;
+    }
+
+    if (schema.type === 'number' && (typeof value !== 'number' || !Number.isFinite(value))) {
+        errors.push(`${at}: expected number, got ${JSON.stringify(value)}`);
+        return;
+    }
+    if (schema.type !== 'number' && typeof value !== schema.type) {
+        errors.push(`${at}: expected ${schema.type}, got ${JSON.stringify(value)}`);
+        return;
+    }
+    if (schema.min !== undefined && value < schema.min) {
+        errors.push(`${at}: ${value} is below ${schema.min}`);
+    }
+    if (schema.equals !== undefined && value !== schema.equals) {
+        errors.push(`${at}: expected ${schema.equals}, got ${value}`);
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push(`${at}: '${value}' does not match ${schema.pattern}`);
+    }
+}
+
+/**
+ * Validate a snapshot of the given kind ('current', 'historyRecord' or 'fxRecord')
+ * Returns a list of error messages (empty when valid)
+ */
+export function validateSnapshot(kind, snapshot) {
+    const schema = SCHEMAS[kind];
+    if (!schema) throw new Error(`Unknown snapshot kind: ${kind}`);
+
+    const errors = [];
+    validateNode(snapshot, schema, kind, errors);
+    return errors;
+}
@@ -0,0 +1,19 @@
+/**
+ * Price Source Priority
+ *
+ * For each field, the sources to take it from in order of preference.
+ * The first source that returned a value wins; the rest are fallbacks.
+ *
+ * - products:        default for every catalog product
+ * - products.<id>:   override for one product (e.g. 'products.spodumene')
+ * - futures:         per contract
+ * - fx:              the USD/CNY rate
+ *
+ * Source ids are the `id` exported by each module in lib/sources/.
+ */
+
+export const SOURCE_PRIORITY = {
+    products: ['smm-puppeteer', 'smm-static', 'manual-csv'],
+    futures: ['smm-puppeteer', 'smm-static', 'gfex-settlement', 'manual-csv'],
+    fx: ['smm-puppeteer', 'smm-static', 'manual-csv'],
+};
@@ -0,0 +1,41 @@
+/**
+ * Minimal CSV reader for the file-import sources: comma separated,
+ * double-quoted fields may contain commas ("166,500") and "" escapes.
+ */
+
+function splitLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted && char === '"' && line[i + 1] === '"') {
+            field += '"';
+            i++;
+        } else if (char === '"') {
+            quoted = !quoted;
+        } else if (char === ',' && !quoted) {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * Parse CSV text into row objects keyed by the header line.
+ * Blank lines and lines starting with '#' are skipped.
+ */
+export function parseCsv(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim() && !l.startsWith('#'));
+    if (lines.length === 0) return [];
+
+    const header = splitLine(lines[0]);
+    return lines.slice(1).map(line => {
+        const fields = splitLine(line);
+        return Object.fromEntries(header.map((name, i) => [name, fields[i] ?? '']));
+    });
+}
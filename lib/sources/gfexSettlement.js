@@ -0,0 +1,91 @@
+/**
+ * Source: GFEX settlement file import
+ *
+ * Reads a daily settlement CSV exported from the Guangzhou Futures Exchange
+ * (GFEX_SETTLEMENT_FILE, else data/imports/gfex-settlement.csv). English or
+ * Chinese headers are accepted; only lithium carbonate (LC) contracts are used,
+ * priced at the settlement price (else the close).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from '../priceStore.js';
+import { removeVat } from '../vat.js';
+import { parseCsv } from './csv.js';
+import { isContractCode } from '../contracts.js';
+
+export const id = 'gfex-settlement';
+export const label = 'GFEX settlement file';
+
+const COLUMNS = {
+    contract: ['Contract', '合约', '合约代码'],
+    open: ['Open', '开盘价'],
+    high: ['High', '最高价'],
+    low: ['Low', '最低价'],
+    close: ['Close', '收盘价'],
+    settle: ['Settlement', 'Settle', '结算价'],
+    date: ['Date', '交易日期'],
+};
+
+function settlementPath() {
+    return process.env.GFEX_SETTLEMENT_FILE || path.join(DATA_DIR, 'imports', 'gfex-settlement.csv');
+}
+
+function column(row, key) {
+    const name = COLUMNS[key].find(n => n in row);
+    return name ? row[name] : '';
+}
+
+function toNumber(value) {
+    const number = parseFloat(String(value).replace(/,/g, ''));
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * "20260123" or "2026-01-23" to "2026-01-23"
+ */
+function toDate(value) {
+    const match = String(value).match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Parse settlement CSV text: { futures, issues }
+ */
+export function parseSettlementCsv(text) {
+    const futures = [];
+    const issues = [];
+    parseCsv(text).forEach(row => {
+        const contract = column(row, 'contract').toUpperCase();
+        if (!isContractCode(contract)) return;
+
+        const priceCNY = toNumber(column(row, 'settle')) ?? toNumber(column(row, 'close'));
+        if (priceCNY === null) {
+            issues.push({ field: `futures.${contract}.priceCNY`, message: 'no settlement or close price' });
+            return;
+        }
+        futures.push({
+            contract,
+            priceCNY,
+            priceCNYExVat: removeVat(priceCNY),
+            openCNY: toNumber(column(row, 'open')),
+            highCNY: toNumber(column(row, 'high')),
+            lowCNY: toNumber(column(row, 'low')),
+            date: toDate(column(row, 'date')),
+        });
+    });
+    return { futures, issues };
+}
+
+/**
+ * Read the settlement file: { products: {}, futures, fx: null, issues }
+ */
+export async function fetchPrices() {
+    const filePath = settlementPath();
+    if (!fs.existsSync(filePath)) {
+        return { products: {}, futures: [], fx: null, issues: [{ field: 'file', message: `${filePath} not found` }] };
+    }
+    const text = fs.readFileSync(filePath, 'utf8');
+    const { futures, issues } = parseSettlementCsv(text);
+    return { products: {}, futures, fx: null, issues, pages: [{ name: 'csv', text }] };
+}
@@ -0,0 +1,124 @@
+/**
+ * Price Sources
+ *
+ * Every source module exports { id, label, fetchPrices() } where
+ * fetchPrices() resolves to a normalized result:
+ *   { products: { <id>: values }, futures: [...], fx: { pair, rate, date } | null, issues: [...],
+ *     pages: [{ name, text }] }
+ * with the same value shapes as data/snapshots/current.json. `pages` is the
+ * raw input it parsed, kept by hash in the run log (lib/runLog.js).
+ *
+ * `collectPrices()` runs the sources named in SOURCE_PRIORITY and merges
+ * them field by field, tagging each value with the source it came from.
+ */
+
+import * as smmPuppeteer from './smmPuppeteer.js';
+import * as smmStatic from './smmStatic.js';
+import * as gfexSettlement from './gfexSettlement.js';
+import * as manualCsv from './manualCsv.js';
+import { SOURCE_PRIORITY } from './config.js';
+import { PRODUCT_CATALOG } from '../products.js';
+import { storePage } from '../runLog.js';
+
+export const SOURCES = [smmPuppeteer, smmStatic, gfexSettlement, manualCsv];
+
+/**
+ * Look up a source module by id
+ */
+export function getSource(id) {
+    return SOURCES.find(s => s.id === id) || null;
+}
+
+/**
+ * Source ids used anywhere in a priority config, in first-mentioned order
+ */
+function sourcesInPriority(priority) {
+    return [...new Set(Object.values(priority).flat())];
+}
+
+/**
+ * Run sources one after another. A source that throws is reported, not fatal.
+ * Raw pages are stored and replaced by their hash.
+ * Returns [{ source, startedAt, finishedAt, error, products, futures, fx, issues, pages: [{ name, hash }] }]
+ */
+export async function runSources(ids) {
+    const results = [];
+    for (const id of ids) {
+        const source = getSource(id);
+        if (!source) throw new Error(`Unknown price source: ${id}`);
+        const startedAt = new Date().toISOString();
+        try {
+            const { pages = [], ...result } = await source.fetchPrices();
+            results.push({
+                source: id,
+                startedAt,
+                finishedAt: new Date().toISOString(),
+                error: null,
+                ...result,
+                pages: pages.map(page => ({ name: page.name, hash: storePage(page.text) })),
+            });
+        } catch (error) {
+            results.push({
+                source: id,
+                startedAt,
+                finishedAt: new Date().toISOString(),
+                error: error.message,
+                products: {},
+                futures: [],
+                fx: null,
+                issues: [],
+                pages: [],
+            });
+        }
+    }
+    return results;
+}
+
+/**
+ * Merge source results field by field following `priority`.
+ * Returns { products, futures, fx, sources } where every value carries
+ * `source`, and `sources` summarizes each run
+ * ({ source, startedAt, finishedAt, error, issues, pages }).
+ */
+export function mergeSources(results, priority = SOURCE_PRIORITY) {
+    const bySource = new Map(results.filter(r => !r.error).map(r => [r.source, r]));
+    const inOrder = (ids) => ids.map(id => bySource.get(id)).filter(Boolean);
+
+    const products = {};
+    PRODUCT_CATALOG.forEach(product => {
+        const ids = priority[`products.${product.id}`] || priority.products || [];
+        const winner = inOrder(ids).find(r => r.products?.[product.id]);
+        if (winner) products[product.id] = { ...winner.products[product.id], source: winner.source };
+    });
+
+    const futures = new Map();
+    inOrder(priority.futures || []).forEach(r => {
+        (r.futures || []).forEach(f => {
+            if (!futures.has(f.contract)) futures.set(f.contract, { ...f, source: r.source });
+        });
+    });
+
+    const fxWinner = inOrder(priority.fx || []).find(r => r.fx);
+    const fx = fxWinner ? { ...fxWinner.fx, source: fxWinner.source } : null;
+
+    return {
+        products,
+        futures: [...futures.values()].sort((a, b) => a.contract.localeCompare(b.contract)),
+        fx,
+        sources: results.map(r => ({
+            source: r.source,
+            startedAt: r.startedAt ?? null,
+            finishedAt: r.finishedAt ?? null,
+            error: r.error,
+            issues: r.issues || [],
+            pages: r.pages || [],
+        })),
+    };
+}
+
+/**
+ * Run every source in the priority config and merge the results
+ */
+export async function collectPrices(priority = SOURCE_PRIORITY) {
+    return mergeSources(await runSources(sourcesInPriority(priority)), priority);
+}
@@ -0,0 +1,94 @@
+/**
+ * Source: manual CSV
+ *
+ * Hand-entered prices in MANUAL_PRICES_FILE (else data/imports/manual.csv):
+ *
+ *   field,value,date
+ *   carbonate,23100,2026-01-23        USD price (VAT-inclusive)
+ *   carbonate.cny,164500,2026-01-23   CNY price
+ *   LC2607,169780,2026-01-23          GFEX contract, CNY
+ *   fx,6.9712,2026-01-23              USD/CNY rate
+ *
+ * Rows older than MANUAL_MAX_AGE_DAYS are ignored so a forgotten entry
+ * cannot keep standing in for a source that has recovered.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from '../priceStore.js';
+import { getProduct } from '../products.js';
+import { removeVat } from '../vat.js';
+import { parseCsv } from './csv.js';
+import { isContractCode } from '../contracts.js';
+import { exchangeToday } from '../tradingCalendar.js';
+
+export const id = 'manual-csv';
+export const label = 'Manual CSV';
+
+const MANUAL_MAX_AGE_DAYS = 3;
+
+function manualPath() {
+    return process.env.MANUAL_PRICES_FILE || path.join(DATA_DIR, 'imports', 'manual.csv');
+}
+
+function daysBefore(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() - days);
+    return d.toISOString().split('T')[0];
+}
+
+/**
+ * Parse manual CSV text, keeping rows dated on or after `since`:
+ * { products, futures, fx, issues }
+ */
+export function parseManualCsv(text, since = null) {
+    const result = { products: {}, futures: [], fx: null, issues: [] };
+
+    parseCsv(text).forEach(({ field, value, date }) => {
+        const number = parseFloat(String(value).replace(/,/g, ''));
+        if (!Number.isFinite(number) || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            result.issues.push({ field, message: `invalid row: ${field},${value},${date}` });
+            return;
+        }
+        if (since && date < since) {
+            result.issues.push({ field, message: `entry from ${date} is too old, ignored` });
+            return;
+        }
+
+        const [productId, currency] = field.split('.');
+        const product = getProduct(productId);
+        if (isContractCode(field)) {
+            result.futures.push({ contract: field, priceCNY: number, priceCNYExVat: removeVat(number), date });
+        } else if (field === 'fx') {
+            result.fx = { pair: 'USD/CNY', rate: number, date };
+        } else if (product && currency === 'cny') {
+            result.products[productId] = { ...result.products[productId], priceCNY: number, priceCNYExVat: removeVat(number, product.vatExempt) };
+        } else if (product && !currency) {
+            result.products[productId] = { ...result.products[productId], price: number, priceExVat: removeVat(number, product.vatExempt), date };
+        } else {
+            result.issues.push({ field, message: 'unknown field' });
+        }
+    });
+
+    // A CNY price alone is not a product value
+    Object.entries(result.products).forEach(([productId, values]) => {
+        if (values.price === undefined) {
+            delete result.products[productId];
+            result.issues.push({ field: `${productId}.cny`, message: 'CNY price without a USD price, ignored' });
+        }
+    });
+    return result;
+}
+
+/**
+ * Read the manual file: { products, futures, fx, issues }
+ */
+export async function fetchPrices() {
+    const filePath = manualPath();
+    if (!fs.existsSync(filePath)) {
+        return { products: {}, futures: [], fx: null, issues: [{ field: 'file', message: `${filePath} not found` }] };
+    }
+    const text = fs.readFileSync(filePath, 'utf8');
+    const result = parseManualCsv(text, daysBefore(exchangeToday(), MANUAL_MAX_AGE_DAYS));
+    return { ...result, pages: [{ name: 'csv', text }] };
+}
@@ -0,0 +1,76 @@
+/**
+ * Source: SMM via Puppeteer
+ *
+ * Renders https://www.metal.com/Lithium in a headless browser and parses
+ * both the "Lithium Compounds" view (products, GFEX futures, offshore RMB)
+ * and the "Lithium Ore" view (spodumene).
+ */
+
+import { parseCompoundsPage, parseOrePage } from '../smmParser.js';
+import { toFutures, toProductValues } from './smmValues.js';
+
+export const id = 'smm-puppeteer';
+export const label = 'SMM (browser)';
+
+const SMM_URL = 'https://www.metal.com/Lithium';
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+/**
+ * Scrape SMM: { products, futures, fx, issues, pages }
+ */
+export async function fetchPrices() {
+    // Imported lazily: puppeteer is a dev dependency and only this source needs it
+    const { default: puppeteer } = await import('puppeteer');
+
+    console.log('🚀 Launching Puppeteer...');
+    const browser = await puppeteer.launch({
+        headless: "new",
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+
+    try {
+        const page = await browser.newPage();
+        await page.setUserAgent(USER_AGENT);
+
+        console.log(`📡 Navigating to ${SMM_URL}...`);
+        await page.goto(SMM_URL, { waitUntil: 'networkidle2', timeout: 60000 });
+
+        // Raw page text goes to the run log (lib/runLog.js) so values can be traced to it
+        const pageText = await page.evaluate(() => document.body.innerText);
+
+        // 1. Parse initial view (Lithium Compounds + Futures)
+        const compounds = parseCompoundsPage(pageText);
+        const result = {
+            products: toProductValues(compounds),
+            futures: toFutures(compounds),
+            fx: compounds.fx,
+            issues: [...compounds.issues],
+            pages: [{ name: 'compounds', text: pageText }],
+        };
+
+        // 2. Click "Lithium Ore" to get Spodumene (the compounds values are kept if this fails)
+        console.log('⛏️ Clicking "Lithium Ore" tab...');
+        try {
+            const buttons = await page.$$("::-p-xpath(//div[contains(text(), 'Lithium Ore')])");
+            if (buttons.length > 0) {
+                await buttons[0].click();
+                // networkidle does not trigger on a tab switch, so give it time to render
+                await new Promise(r => setTimeout(r, 3000));
+
+                const oreText = await page.evaluate(() => document.body.innerText);
+                const ore = parseOrePage(oreText);
+                result.pages.push({ name: 'ore', text: oreText });
+                Object.assign(result.products, toProductValues(ore));
+                result.issues.push(...ore.issues);
+            } else {
+                result.issues.push({ field: 'ore', message: '"Lithium Ore" tab not found' });
+            }
+        } catch (error) {
+            result.issues.push({ field: 'ore', message: `could not open "Lithium Ore": ${error.message}` });
+        }
+
+        return result;
+    } finally {
+        await browser.close();
+    }
+}
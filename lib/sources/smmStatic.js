@@ -0,0 +1,53 @@
+/**
+ * Source: SMM static HTML
+ *
+ * Fetches https://www.metal.com/Lithium without a browser and runs the
+ * page text through the same parser. Much cheaper than Puppeteer, but SMM
+ * renders most prices with JavaScript, so expect gaps; only the default
+ * "Lithium Compounds" view is available.
+ */
+
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import { parseCompoundsPage } from '../smmParser.js';
+import { toFutures, toProductValues } from './smmValues.js';
+
+export const id = 'smm-static';
+export const label = 'SMM (static HTML)';
+
+const SMM_URL = 'https://www.metal.com/Lithium';
+
+const HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+};
+
+/**
+ * Approximate document.body.innerText: one line per text node
+ */
+export function htmlToText(html) {
+    const $ = cheerio.load(html);
+    $('script, style, noscript').remove();
+    return $('body').find('*').contents()
+        .filter((_, node) => node.type === 'text')
+        .map((_, node) => $(node).text())
+        .get()
+        .join('\n');
+}
+
+/**
+ * Fetch and parse the static page: { products, futures, fx, issues, pages }
+ */
+export async function fetchPrices() {
+    console.log(`📡 Fetching ${SMM_URL} (static)...`);
+    const response = await axios.get(SMM_URL, { headers: HEADERS, timeout: 30000 });
+
+    const compounds = parseCompoundsPage(htmlToText(response.data));
+    return {
+        products: toProductValues(compounds),
+        futures: toFutures(compounds),
+        fx: compounds.fx,
+        issues: compounds.issues,
+        pages: [{ name: 'html', text: response.data }],
+    };
+}
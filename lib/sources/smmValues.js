@@ -0,0 +1,49 @@
+/**
+ * SMM Page Values
+ *
+ * Turns parsed SMM pages (lib/smmParser.js) into normalized source values.
+ * Shared by the Puppeteer and static HTML sources.
+ */
+
+import { getProduct } from '../products.js';
+import { addVat, removeVat } from '../vat.js';
+
+/**
+ * Convert parsed SMM rows into stored product values.
+ * SMM USD rows are VAT-exclusive and CNY rows VAT-inclusive; both bases are stored.
+ */
+export function toProductValues(parsed) {
+    const values = {};
+    Object.entries(parsed.products).forEach(([id, row]) => {
+        if (!row.price) return;
+        const exempt = getProduct(id).vatExempt;
+        const price = addVat(row.price, exempt);
+        const change = addVat(row.change, exempt);
+
+        const prev = change !== null ? price - change : null;
+        values[id] = {
+            price,
+            priceExVat: row.price,
+            changeUSD: change,
+            changePercent: prev ? Math.round((change / prev) * 100 * 100) / 100 : null,
+            low: addVat(row.low, exempt),
+            high: addVat(row.high, exempt),
+            date: row.date,
+        };
+
+        const cny = parsed.cny[id];
+        if (cny?.price) {
+            values[id].priceCNY = cny.price;
+            values[id].priceCNYExVat = removeVat(cny.price, exempt);
+            values[id].changeCNY = cny.change;
+        }
+    });
+    return values;
+}
+
+/**
+ * Convert parsed GFEX rows into stored futures (quotes are VAT-inclusive)
+ */
+export function toFutures(parsed) {
+    return parsed.futures.map(f => ({ ...f, priceCNYExVat: removeVat(f.priceCNY) }));
+}
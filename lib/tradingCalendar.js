@@ -0,0 +1,137 @@
+/**
+ * GFEX Trading Calendar
+ *
+ * The exchange trades Monday to Friday except on mainland public holidays.
+ * Make-up working weekends are not sessions, so a trading day is simply a
+ * weekday outside EXCHANGE_HOLIDAYS. Dates are 'YYYY-MM-DD' strings in
+ * exchange (Asia/Shanghai) time.
+ *
+ * EXCHANGE_HOLIDAYS follows the State Council schedule that the exchange
+ * (and SMM's "Holiday Pricing Schedule") publish each December - add the
+ * next year's ranges when it comes out. Years without an entry fall back
+ * to weekends only.
+ */
+
+export const EXCHANGE_TIMEZONE = 'Asia/Shanghai';
+
+// Inclusive closure ranges per year
+export const EXCHANGE_HOLIDAYS = {
+    2025: [
+        ['2025-01-01', '2025-01-01'], // New Year
+        ['2025-01-28', '2025-02-04'], // Spring Festival
+        ['2025-04-04', '2025-04-06'], // Qingming
+        ['2025-05-01', '2025-05-05'], // Labour Day
+        ['2025-05-31', '2025-06-02'], // Dragon Boat
+        ['2025-10-01', '2025-10-08'], // National Day / Mid-Autumn
+    ],
+    2026: [
+        ['2026-01-01', '2026-01-03'], // New Year
+        ['2026-02-15', '2026-02-23'], // Spring Festival
+        ['2026-04-04', '2026-04-06'], // Qingming
+        ['2026-05-01', '2026-05-05'], // Labour Day
+        ['2026-06-19', '2026-06-21'], // Dragon Boat
+        ['2026-09-25', '2026-09-27'], // Mid-Autumn
+        ['2026-10-01', '2026-10-07'], // National Day
+    ],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toTime(date) {
+    return Date.parse(`${date}T00:00:00Z`);
+}
+
+function fromTime(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * A real 'YYYY-MM-DD' calendar date ('2026-02-30' and '2025-13-01' are not)
+ */
+export function isCalendarDate(date) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+    const time = toTime(date);
+    return !Number.isNaN(time) && fromTime(time) === date;
+}
+
+/**
+ * Move a date by a number of calendar days
+ */
+export function addDays(date, days) {
+    return fromTime(toTime(date) + days * DAY_MS);
+}
+
+const HOLIDAYS = new Set(Object.values(EXCHANGE_HOLIDAYS).flat().flatMap(([from, to]) => {
+    const days = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) days.push(date);
+    return days;
+}));
+
+/**
+ * Saturday or Sunday
+ */
+export function isWeekend(date) {
+    const day = new Date(toTime(date)).getUTCDay();
+    return day === 0 || day === 6;
+}
+
+/**
+ * A listed exchange holiday
+ */
+export function isHoliday(date) {
+    return HOLIDAYS.has(date);
+}
+
+/**
+ * The exchange holds a session on this date
+ */
+export function isTradingDay(date) {
+    return !isWeekend(date) && !isHoliday(date);
+}
+
+/**
+ * Last trading day strictly before `date`
+ */
+export function previousTradingDay(date) {
+    let day = addDays(date, -1);
+    while (!isTradingDay(day)) day = addDays(day, -1);
+    return day;
+}
+
+/**
+ * First trading day strictly after `date`
+ */
+export function nextTradingDay(date) {
+    let day = addDays(date, 1);
+    while (!isTradingDay(day)) day = addDays(day, 1);
+    return day;
+}
+
+/**
+ * The n-th (1-based) trading day of a 'YYYY-MM' month
+ */
+export function nthTradingDay(yearMonth, n) {
+    let day = `${yearMonth}-01`;
+    if (!isTradingDay(day)) day = nextTradingDay(day);
+    for (let i = 1; i < n; i++) day = nextTradingDay(day);
+    return day;
+}
+
+/**
+ * Number of trading days after `from` up to and including `to`
+ * (0 when `to` is not after `from`)
+ */
+export function tradingDaysBetween(from, to) {
+    let count = 0;
+    for (let day = addDays(from, 1); day <= to; day = addDays(day, 1)) {
+        if (isTradingDay(day)) count++;
+    }
+    return count;
+}
+
+/**
+ * Today's date on the exchange clock, whatever the local timezone
+ */
+export function exchangeToday(now = new Date()) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: EXCHANGE_TIMEZONE }).format(now);
+}
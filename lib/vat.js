@@ -0,0 +1,32 @@
+/**
+ * VAT Basis
+ *
+ * SMM publishes USD spot prices for Chinese domestic products VAT-exclusive,
+ * while CNY spot prices and GFEX futures are VAT-inclusive (13% VAT).
+ * Import prices (CIF) carry no Chinese VAT, so both bases are the same;
+ * those catalog entries are marked `vatExempt`.
+ */
+
+export const VAT_RATE = 0.13;
+export const VAT_BASES = ['incl', 'excl'];
+
+function round2(value) {
+    if (value === null || value === undefined) return null;
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * VAT-exclusive value to VAT-inclusive
+ */
+export function addVat(value, exempt = false) {
+    if (value === null || value === undefined) return null;
+    return exempt ? value : round2(value * (1 + VAT_RATE));
+}
+
+/**
+ * VAT-inclusive value to VAT-exclusive
+ */
+export function removeVat(value, exempt = false) {
+    if (value === null || value === undefined) return null;
+    return exempt ? value : round2(value / (1 + VAT_RATE));
+}
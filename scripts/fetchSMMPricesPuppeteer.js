@@ -1,231 +0,0 @@
-/**
- * SMM Price Fetcher using Puppeteer
- * 
- * Scrapes real-time data from metal.com using a headless browser.
- * Targeting specific "VAT included" (USD) and "Original" (CNY) prices.
- */
-
-import fs from 'fs';
-import path from 'path';
-import puppeteer from 'puppeteer';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const API_FILE = path.join(__dirname, '..', 'api', 'prices.js');
-const SMM_URL = 'https://www.metal.com/Lithium';
-
-async function fetchPrices() {
-    console.log('🚀 Launching Puppeteer...');
-    const browser = await puppeteer.launch({
-        headless: "new",
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-
-    try {
-        const page = await browser.newPage();
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-
-        console.log(`📡 Navigating to ${SMM_URL}...`);
-        await page.goto(SMM_URL, { waitUntil: 'networkidle2', timeout: 60000 });
-
-        // Debug: Dump page content
-        const pageText = await page.evaluate(() => document.body.innerText);
-        fs.writeFileSync('debug_page.txt', pageText);
-        console.log('📝 Saved page text to debug_page.txt');
-
-        // Helper to parse numbers
-        const parseNum = (str) => {
-            if (!str) return null;
-            const clean = str.replace(/[^\d.-]/g, '');
-            return parseFloat(clean);
-        };
-
-        const result = {
-            carbonate: { price: null, changeUSD: null, changePercent: null, priceCNY: null, changeCNY: null },
-            spodumene: { price: null, changeUSD: null, changePercent: null },
-            futures: []
-        };
-
-        // 1. Get initial text (Carbonate + Futures)
-        let text = await page.evaluate(() => document.body.innerText);
-        const lines = text.split('\n').map(l => l.trim()).filter(l => l);
-
-        // Parse Carbonate
-        // Look for "Battery-Grade Lithium Carbonate" - Avoid Index rows
-        const carbonateRow = lines.find(l => l.includes('Battery-Grade Lithium Carbonate') && l.includes('USD/mt') && !l.toLowerCase().includes('index'));
-        const carbIndex = lines.indexOf(carbonateRow);
-
-        console.log(`🔍 Carbonate Row Found: ${carbonateRow} at index ${carbIndex}`);
-
-        if (carbIndex !== -1) {
-            const price = parseNum(lines[carbIndex + 2]);
-            const change = parseNum(lines[carbIndex + 3]);
-
-            if (price) {
-                // VAT Logic: If price < 22000, it's VAT excluded (~20.8k). We want included (~23.5k).
-                if (price < 22000) {
-                    console.log(`⚠️ Applying VAT multiplier up to ${price}`);
-                    result.carbonate.price = Math.round(price * 1.13 * 100) / 100;
-                    result.carbonate.changeUSD = Math.round((change || 0) * 1.13 * 100) / 100;
-                } else {
-                    result.carbonate.price = price;
-                    result.carbonate.changeUSD = change;
-                }
-            }
-        }
-
-        // Try to find CNY (Original) price
-        const cnyRow = lines.find(l => l.includes('Battery-Grade Lithium Carbonate') && l.includes('CNY/mt'));
-        const cnyIndex = lines.indexOf(cnyRow);
-        if (cnyIndex !== -1) {
-            result.carbonate.priceCNY = parseNum(lines[cnyIndex + 2]);
-            result.carbonate.changeCNY = parseNum(lines[cnyIndex + 3]);
-        }
-
-        // Parse Futures
-        // Look for LCxxxx (CNY/mt)
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            const match = line.match(/(LC\d{4}) \(CNY\/mt\)/);
-            if (match) {
-                const contract = match[1];
-                const priceCNY = parseNum(lines[i + 1]);
-                if (contract && priceCNY) {
-                    result.futures.push({ contract, priceCNY });
-                }
-            }
-        }
-
-        // 2. Click "Lithium Ore" to get Spodumene
-        console.log('⛏️ Clicking "Lithium Ore" tab...');
-        try {
-            const buttons = await page.$x("//div[contains(text(), 'Lithium Ore')]");
-            if (buttons.length > 0) {
-                const button = buttons[0];
-                await button.click();
-                // Wait for content to change/load. 
-                // We'll wait 2 seconds to be safe as networkidle might not trigger on simple tab switch
-                await new Promise(r => setTimeout(r, 3000));
-
-                // Get text again
-                text = await page.evaluate(() => document.body.innerText);
-                const oreLines = text.split('\n').map(l => l.trim()).filter(l => l);
-
-                // Parse Spodumene
-                // Look for "Spodumene Concentrate (6%, CIF China)" or similiar
-                // "Spodumene Concentrate (USD/mt)" likely
-
-                // Since I don't know the EXACT text, I'll search for "Spodumene"
-                const spodIndex = oreLines.findIndex(l => l.includes('Spodumene Concentrate Index') && l.includes('USD/mt'));
-                if (spodIndex !== -1) {
-                    const price = parseNum(oreLines[spodIndex + 2]);
-                    const change = parseNum(oreLines[spodIndex + 3]);
-                    if (price) {
-                        result.spodumene.price = price;
-                        result.spodumene.changeUSD = change;
-                        const prev = price - change;
-                        result.spodumene.changePercent = Math.round((change / prev) * 100 * 100) / 100;
-                    }
-                } else {
-                    console.log('⚠️ Spodumene section not found in text after click');
-                }
-            } else {
-                console.log('⚠️ "Lithium Ore" tab not found');
-            }
-        } catch (e) {
-            console.error('⚠️ Error clicking Lithium Ore:', e);
-        }
-
-        console.log('📊 Extracted Data:', JSON.stringify(result, null, 2));
-        return result;
-
-    } catch (error) {
-        console.error('❌ Error scraping:', error);
-        return null;
-    } finally {
-        await browser.close();
-    }
-}
-
-function updateFile(data) {
-    if (!data) return;
-
-    let content = fs.readFileSync(API_FILE, 'utf8');
-    const today = new Date().toISOString().split('T')[0];
-    let updated = false;
-
-    // 1. ARCHIVE HISTORY (Only once a day)
-    const dateMarkerMatch = content.match(/\/\/ LAST_SCRAPE_DATE: ([\d-]+)/);
-    const lastScrapeDate = dateMarkerMatch ? dateMarkerMatch[1] : '';
-
-    if (lastScrapeDate !== today) {
-        console.log(`📅 Archiving prices from ${lastScrapeDate || 'unknown'} to HISTORY...`);
-        const carbPrice = content.match(/carbonate: \{.*?price:\s*([\d.]+)/s)?.[1];
-        const spodPrice = content.match(/spodumene: \{.*?price:\s*([\d.]+)/s)?.[1];
-        const futuresRegex = /contract:\s*'([^']+)'.*?priceCNY:\s*(\d+)/sg;
-        const archivedFutures = [];
-        let fMatch;
-        while ((fMatch = futuresRegex.exec(content)) !== null) {
-            archivedFutures.push({ contract: fMatch[1], priceCNY: fMatch[2] });
-        }
-
-        if (carbPrice) {
-            let historyStr = `const HISTORY = {\n    date: '${lastScrapeDate || '2026-01-21'}',\n`;
-            historyStr += `    carbonate: { price: ${carbPrice} },\n`;
-            historyStr += `    spodumene: { price: ${spodPrice || 2130} },\n`;
-            historyStr += `    futures: [\n`;
-            archivedFutures.forEach(f => { historyStr += `        { contract: '${f.contract}', priceCNY: ${f.priceCNY} },\n`; });
-            historyStr += `    ]\n};`;
-
-            content = content.replace(/const HISTORY = \{.*?\};/s, historyStr);
-            if (dateMarkerMatch) content = content.replace(/\/\/ LAST_SCRAPE_DATE: [\d-]+/, `// LAST_SCRAPE_DATE: ${today}`);
-            updated = true;
-        }
-    }
-
-    // 2. UPDATE CURRENT PRICES
-    const replaceInBlock = (blockName, key, value) => {
-        const blockRegex = new RegExp(`(${blockName}:\\s*\\{[^}]*?${key}:\\s*)([\\d,.-]+)`, 's');
-        if (blockRegex.test(content) && value !== null && value !== undefined) {
-            content = content.replace(blockRegex, `$1${value}`);
-            updated = true;
-        }
-    };
-
-    if (data.carbonate.price) replaceInBlock('carbonate', 'price', data.carbonate.price);
-    if (data.carbonate.priceCNY) replaceInBlock('carbonate', 'priceCNY', data.carbonate.priceCNY);
-    if (data.carbonate.changeCNY !== null) replaceInBlock('carbonate', 'changeCNY', data.carbonate.changeCNY);
-    if (data.carbonate.changeUSD !== null) replaceInBlock('carbonate', 'changeUSD', data.carbonate.changeUSD);
-
-    // Percent calculation against baseline in file
-    const histCarbMatch = content.match(/const HISTORY = \{.*?carbonate: \{ price: ([\d.]+) \}/s);
-    if (histCarbMatch && data.carbonate.price) {
-        const prev = parseFloat(histCarbMatch[1]);
-        const pct = Math.round(((data.carbonate.price - prev) / prev) * 100 * 100) / 100;
-        replaceInBlock('carbonate', 'changePercent', pct);
-    }
-
-    if (data.spodumene.price) replaceInBlock('spodumene', 'price', data.spodumene.price);
-    if (data.spodumene.changeUSD !== null) replaceInBlock('spodumene', 'changeUSD', data.spodumene.changeUSD);
-
-    if (data.futures && data.futures.length > 0) {
-        data.futures.forEach(f => {
-            const updateRegex = new RegExp(`(contract:\\s*'${f.contract}'.*?priceCNY:\\s*)(\\d+)`, 's');
-            if (updateRegex.test(content)) {
-                content = content.replace(updateRegex, `$1${f.priceCNY}`);
-                updated = true;
-            }
-        });
-    }
-
-    if (updated) {
-        fs.writeFileSync(API_FILE, content);
-        console.log('✅ File updated successfully');
-    } else {
-        console.log('⚠️ No changes applied to file');
-    }
-}
-
-fetchPrices().then(data => updateFile(data));
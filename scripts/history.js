@@ -0,0 +1,89 @@
+/**
+ * Daily History Maintenance
+ *
+ * Usage:
+ *   node scripts/history.js list
+ *   node scripts/history.js compact
+ *   node scripts/history.js correct 2026-01-22 carbonate=23100 carbonate.cny=164500 LC2607=169780
+ *   node scripts/history.js fx
+ *   node scripts/history.js fx 2026-01-22 6.9712
+ *   node scripts/history.js fx 2026-01-22 0.9213 USD/EUR
+ *   node scripts/history.js fx-import [data/imports/fx.csv]
+ *
+ * `correct` appends a corrected record for an existing day; the original
+ * record stays in the file until the next `compact`.
+ * `fx` lists the FX history, or records a manual rate for a day (USD/CNY
+ * unless a pair is given). `fx-import` records every `date,pair,rate` row
+ * of a CSV file; rows that don't parse are reported and skipped.
+ */
+
+import fs from 'fs';
+import { compactHistory, correctHistoryRecord, readHistory } from '../lib/priceHistory.js';
+import { getProduct } from '../lib/products.js';
+import { appendFxRate, getFxImportPath, parseFxCsv, readFxHistory } from '../lib/fxRates.js';
+import { isContractCode } from '../lib/contracts.js';
+
+/**
+ * Parse "product=price", "product.cny=price" and "LCxxxx=priceCNY" arguments
+ */
+function parseCorrections(args) {
+    const patch = { products: {}, futures: {} };
+    args.forEach(arg => {
+        const [key, value] = arg.split('=');
+        const price = parseFloat(value);
+        if (!key || Number.isNaN(price)) throw new Error(`Invalid correction: ${arg}`);
+
+        const [id, field] = key.split('.');
+        if (isContractCode(key)) {
+            patch.futures[key] = price;
+        } else if (getProduct(id) && (!field || field === 'cny')) {
+            patch.products[id] = { ...patch.products[id], [field ? 'priceCNY' : 'price']: price };
+        } else {
+            throw new Error(`Unknown field: ${key}`);
+        }
+    });
+    return patch;
+}
+
+function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    if (command === 'list') {
+        readHistory().forEach(r => {
+            const corrected = r.correctedAt ? ' (corrected)' : '';
+            const products = Object.entries(r.products).map(([id, v]) => `${id} ${v.price}`).join('  ');
+            console.log(`${r.date}  ${products}  futures ${r.futures.length}${corrected}`);
+        });
+    } else if (command === 'compact') {
+        const { before, after } = compactHistory();
+        console.log(`✅ Compacted history: ${before} → ${after} records`);
+    } else if (command === 'correct') {
+        const [date, ...fields] = args;
+        const record = correctHistoryRecord(date, parseCorrections(fields));
+        console.log(`✅ Appended correction for ${record.date}`);
+    } else if (command === 'fx' && args.length === 0) {
+        readFxHistory().forEach(r => console.log(`${r.date}  ${r.pair} ${r.rate}  (${r.source})`));
+    } else if (command === 'fx') {
+        const [date, value, pair = 'USD/CNY'] = args;
+        const rate = parseFloat(value);
+        if (Number.isNaN(rate)) throw new Error(`Invalid rate: ${value}`);
+        appendFxRate({ date, pair: pair.toUpperCase(), rate, source: 'manual' });
+        console.log(`✅ Recorded manual ${pair.toUpperCase()} ${rate} for ${date}`);
+    } else if (command === 'fx-import') {
+        const filePath = args[0] || getFxImportPath();
+        const { records, issues } = parseFxCsv(fs.readFileSync(filePath, 'utf8'));
+        issues.forEach(issue => console.warn(`⚠️  ${issue.field}: ${issue.message}`));
+        records.forEach(record => appendFxRate(record));
+        console.log(`✅ Imported ${records.length} FX rates from ${filePath}`);
+    } else {
+        console.log('Usage: node scripts/history.js <list|compact|correct DATE field=value ...|fx [DATE RATE [PAIR]]|fx-import [FILE]>');
+        process.exitCode = 1;
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+}
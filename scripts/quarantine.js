@@ -0,0 +1,67 @@
+/**
+ * Scrape Quarantine Review
+ *
+ * Usage:
+ *   node scripts/quarantine.js list
+ *   node scripts/quarantine.js show 2026-01-23T08-00-00-000Z
+ *   node scripts/quarantine.js release 2026-01-23T08-00-00-000Z
+ *   node scripts/quarantine.js drop 2026-01-23T08-00-00-000Z
+ *   node scripts/quarantine.js check
+ *
+ * `release` publishes a held snapshot as data/snapshots/current.json.
+ * `check` runs the scrape validation against the published snapshot.
+ */
+
+import { dropQuarantined, listQuarantine, readQuarantined, releaseQuarantined } from '../lib/quarantine.js';
+import { readSnapshot } from '../lib/priceStore.js';
+import { getPreviousRecord, readHistory } from '../lib/priceHistory.js';
+import { resolveFxRate } from '../lib/fxRates.js';
+import { validateScrape } from '../lib/scrapeValidation.js';
+
+function printReasons(reasons) {
+    reasons.forEach(r => console.log(`   [${r.check}] ${r.field}: ${r.message}`));
+}
+
+function main() {
+    const [command, id] = process.argv.slice(2);
+
+    if (command === 'list') {
+        const entries = listQuarantine();
+        if (entries.length === 0) console.log('✅ Quarantine is empty');
+        entries.forEach(entry => {
+            console.log(`🚧 ${entry.id}  (${entry.snapshot.date}, ${entry.reasons.length} problems)`);
+            printReasons(entry.reasons);
+        });
+    } else if (command === 'show') {
+        console.log(JSON.stringify(readQuarantined(id), null, 2));
+    } else if (command === 'release') {
+        const entry = releaseQuarantined(id);
+        console.log(`✅ Published quarantined snapshot ${entry.id} (${entry.snapshot.date})`);
+    } else if (command === 'drop') {
+        const entry = dropQuarantined(id);
+        console.log(`🗑️ Dropped quarantined snapshot ${entry.id}`);
+    } else if (command === 'check') {
+        const current = readSnapshot('current');
+        const problems = validateScrape(current, {
+            previous: getPreviousRecord(readHistory(), current.date),
+            fxRate: resolveFxRate(current.date).rate,
+        });
+        if (problems.length === 0) {
+            console.log(`✅ Snapshot ${current.date} passes validation`);
+        } else {
+            console.log(`❌ Snapshot ${current.date} has ${problems.length} problems:`);
+            printReasons(problems);
+            process.exitCode = 1;
+        }
+    } else {
+        console.log('Usage: node scripts/quarantine.js <list|show ID|release ID|drop ID|check>');
+        process.exitCode = 1;
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+}
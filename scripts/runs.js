@@ -0,0 +1,72 @@
+/**
+ * Pipeline Run Log
+ *
+ * Usage:
+ *   node scripts/runs.js list [N]
+ *   node scripts/runs.js show 2026-01-23T03-30-00-000Z
+ *   node scripts/runs.js trace carbonate
+ *   node scripts/runs.js trace LC2607
+ *   node scripts/runs.js page <hash>
+ *
+ * `trace` finds the run that produced a published value and shows the
+ * source, the run's issues and the raw page hash it was parsed from.
+ * `page` prints a raw page kept on this machine (data/runs/pages/).
+ */
+
+import { listRuns, readPage, readRun } from '../lib/runLog.js';
+import { readSnapshot } from '../lib/priceStore.js';
+import { isContractCode } from '../lib/contracts.js';
+
+function summary(run) {
+    const problems = run.problems.length > 0 ? `, ${run.problems.length} problems` : '';
+    return `${run.id}  ${run.outcome}  (session ${run.session?.date ?? '?'}${problems})`;
+}
+
+function main() {
+    const [command, arg] = process.argv.slice(2);
+
+    if (command === 'list') {
+        const runs = listRuns().slice(-(parseInt(arg, 10) || 20));
+        if (runs.length === 0) console.log('📭 No runs logged yet');
+        runs.forEach(run => console.log(`🧾 ${summary(run)}`));
+    } else if (command === 'show') {
+        const run = readRun(arg);
+        if (!run) throw new Error(`No run ${arg}`);
+        console.log(JSON.stringify(run, null, 2));
+    } else if (command === 'trace') {
+        const current = readSnapshot('current');
+        const value = isContractCode(arg)
+            ? current.futures.find(f => f.contract === arg)
+            : current.products[arg];
+        if (!value) throw new Error(`${arg} is not in the published snapshot`);
+        if (!value.runId) {
+            console.log(`🤷 ${arg} was published before runs were logged (source: ${value.source || 'unknown'})`);
+            return;
+        }
+
+        const run = readRun(value.runId);
+        if (!run) throw new Error(`Run ${value.runId} is not in the run log`);
+        const source = run.sources.find(s => s.source === value.source);
+        console.log(`🔎 ${arg} = ${value.price ?? value.priceCNY} from ${value.source}`);
+        console.log(`🧾 ${summary(run)}`);
+        if (source) {
+            console.log(`   fetched ${source.startedAt} → ${source.finishedAt}`);
+            source.pages.forEach(page => console.log(`   📄 ${page.name}: ${page.hash}`));
+            source.issues.forEach(issue => console.log(`   ⚠️ ${issue.field}: ${issue.message}`));
+        }
+    } else if (command === 'page') {
+        const text = readPage(arg);
+        if (text === null) throw new Error(`Page ${arg} is not kept on this machine`);
+        console.log(text);
+    } else {
+        console.log('Usage: node scripts/runs.js <list [N]|show ID|trace FIELD|page HASH>');
+        process.exitCode = 1;
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+}
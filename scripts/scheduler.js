@@ -0,0 +1,97 @@
+/**
+ * Price Scheduler - self-hosted service mode
+ *
+ * Runs the fetch -> validate -> publish pipeline (lib/pipeline.js) on a cron
+ * schedule in exchange time, for hosts that serve data/ directly instead of
+ * committing it from GitHub Actions. Runs never overlap, a run that gets no
+ * prices is retried with exponential backoff, and the outcome of every run
+ * is kept in data/scheduler/state.json.
+ *
+ * Env:
+ *   PIPELINE_CRON            cron expression (default every 30 min, 09:00-16:30 Mon-Fri)
+ *   PIPELINE_RETRIES         retries after a failed attempt (default 3)
+ *   PIPELINE_RETRY_DELAY_MS  first retry delay, doubled each time (default 60000)
+ *
+ * Run: node scripts/scheduler.js [--now]   (--now also runs once at startup)
+ */
+
+import cron from 'node-cron';
+import { runPipeline } from '../lib/pipeline.js';
+import { EXCHANGE_TIMEZONE } from '../lib/tradingCalendar.js';
+import { acquireLock, readSchedulerState, recordRun, releaseLock, runWithRetry } from '../lib/scheduler.js';
+
+const CRON = process.env.PIPELINE_CRON || '*/30 9-16 * * 1-5';
+const RETRIES = parseInt(process.env.PIPELINE_RETRIES ?? '3', 10);
+const RETRY_DELAY_MS = parseInt(process.env.PIPELINE_RETRY_DELAY_MS ?? '60000', 10);
+
+/**
+ * One scheduled run: take the lock, run the pipeline with retries, record the outcome
+ */
+async function runOnce(reason) {
+    if (!acquireLock()) {
+        console.log('⏭️ Another run is still in progress, skipping this one');
+        return;
+    }
+
+    const startedAt = new Date().toISOString();
+    console.log(`\n⏰ ${reason} run at ${startedAt}`);
+    try {
+        const { result, error, attempts } = await runWithRetry(() => runPipeline(), {
+            retries: RETRIES,
+            delayMs: RETRY_DELAY_MS,
+            // A quarantined scrape is a data problem, not a transient one
+            shouldRetry: (r) => r.status === 'empty',
+        });
+        const state = recordRun({
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            reason,
+            status: error ? 'failed' : result.status,
+            runId: result?.runId ?? null,
+            date: result?.date ?? null,
+            attempts,
+            error: error ? error.message : null,
+        });
+        if (error) console.error(`❌ Run failed after ${attempts} attempts: ${error.message}`);
+        if (state.consecutiveFailures > 0) {
+            console.warn(`⚠️ ${state.consecutiveFailures} unsuccessful runs in a row (last success: ${state.lastSuccessAt || 'never'})`);
+        }
+    } finally {
+        releaseLock();
+    }
+}
+
+function main() {
+    if (!cron.validate(CRON)) {
+        console.error(`❌ Invalid PIPELINE_CRON expression: ${CRON}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const state = readSchedulerState();
+    console.log(`🗓️ Scheduling price updates: "${CRON}" (${EXCHANGE_TIMEZONE})`);
+    if (state.lastRun) {
+        console.log(`📋 Last run ${state.lastRun.finishedAt}: ${state.lastRun.status}`);
+    }
+
+    const task = cron.schedule(CRON, () => runOnce('Scheduled'), {
+        name: 'update-prices',
+        timezone: EXCHANGE_TIMEZONE,
+        noOverlap: true,
+    });
+    task.on('execution:overlap', () => console.log('⏭️ Previous run still in progress, skipping this tick'));
+    console.log(`⏭️ Next run: ${task.getNextRun()?.toISOString() ?? 'unknown'}`);
+
+    const shutdown = (signal) => {
+        console.log(`👋 ${signal} received, stopping scheduler`);
+        task.stop();
+        releaseLock();
+        process.exit(0);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+    if (process.argv.includes('--now')) runOnce('Startup');
+}
+
+main();
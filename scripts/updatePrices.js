@@ -0,0 +1,19 @@
+/**
+ * Price Update Pipeline - single run (lib/pipeline.js)
+ *
+ * Exits non-zero when no source returned prices, the scrape was quarantined
+ * or the run failed (e.g. an unreadable current snapshot).
+ *
+ * Run: node scripts/updatePrices.js
+ */
+
+import { runPipeline } from '../lib/pipeline.js';
+
+runPipeline()
+    .then(result => {
+        if (result.status !== 'published') process.exitCode = 1;
+    })
+    .catch(error => {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+    });
@@ -1,35 +1,72 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import PriceDisplay from './components/PriceDisplay';
 import FuturesCurve from './components/FuturesCurve';
 import ContractsTable from './components/ContractsTable';
+import CurveAnalytics from './components/CurveAnalytics';
+import ForwardPrice from './components/ForwardPrice';
+import AveragesTable from './components/AveragesTable';
+import SpotHistoryChart from './components/SpotHistoryChart';
+import StatusBanner from './components/StatusBanner';
 import {
   fetchPricesFromAPI,
+  fetchHistoryFromAPI,
+  fetchHealthFromAPI,
+  fetchCurveFromAPI,
   getSpotPrices,
+  getProductTabs,
   getConversionRate,
-  getFuturesContractsUSD,
+  getFxSource,
+  getDisplayRate,
+  formatDisplayRate,
+  getFuturesContracts,
   getChartData,
+  getCurveAnalytics,
+  getComparisonDate,
+  alignCurve,
   formatLastUpdated,
-  defaultData,
+  formatQuoteDate,
+  getRetryDelay,
+  loadCurrency,
+  saveCurrency,
+  CURRENCY_OPTIONS,
+  VAT_OPTIONS,
 } from './data/lithiumData';
+import { getProduct } from '../lib/products.js';
 
 function App() {
   const [activeTab, setActiveTab] = useState('carbonate');
-  const [priceData, setPriceData] = useState(defaultData);
+  // null until the API (or the offline cache) answers; bundled prices are never shown
+  const [priceData, setPriceData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [history, setHistory] = useState({});
+  const [vat, setVat] = useState('incl');
+  const [currency, setCurrency] = useState(loadCurrency);
+  const [spreadPair, setSpreadPair] = useState(null);
+  // Earlier curve overlaid on the futures chart: comparison key, picked date and the fetched curve
+  const [comparisonKey, setComparisonKey] = useState(null);
+  const [pickedDate, setPickedDate] = useState('');
+  const [priorCurve, setPriorCurve] = useState(null);
+  const [health, setHealth] = useState(null);
+  // Consecutive failed loads, drives the retry backoff
+  const [failures, setFailures] = useState(0);
 
-  async function loadPrices() {
+  const loadPrices = useCallback(async () => {
     try {
-      const data = await fetchPricesFromAPI();
-      setPriceData(data);
-      setLastUpdated(data.lastUpdated);
+      const [data, report] = await Promise.all([fetchPricesFromAPI(vat), fetchHealthFromAPI()]);
+      if (data) {
+        setPriceData(data);
+        setLastUpdated(data.lastUpdated);
+      }
+      setHealth(report);
+      setFailures(n => (data && !data.offline ? 0 : n + 1));
     } catch (error) {
       console.error('Error loading prices:', error);
     }
-  }
+  }, [vat]);
 
-  // Load prices from API on mount
+  // Load prices from API on mount and whenever the VAT basis changes
   useEffect(() => {
     async function init() {
       setLoading(true);
@@ -41,7 +78,39 @@ function App() {
     // Refresh prices every 5 minutes
     const interval = setInterval(loadPrices, 5 * 60 * 1000);
     return () => clearInterval(interval);
-  }, []);
+  }, [loadPrices]);
+
+  // While offline, retry with backoff on top of the regular refresh
+  useEffect(() => {
+    if (failures === 0) return;
+    const timer = setTimeout(loadPrices, getRetryDelay(failures));
+    return () => clearTimeout(timer);
+  }, [failures, loadPrices]);
+
+  // Load the spot history for the active product (once per product and VAT basis)
+  const historyKey = `${activeTab}:${vat}`;
+  useEffect(() => {
+    if (history[historyKey]) return;
+    fetchHistoryFromAPI(activeTab, vat).then(series => {
+      setHistory(prev => ({ ...prev, [historyKey]: series }));
+    });
+  }, [activeTab, vat, historyKey, history]);
+
+  // Load the comparison curve (again when the date or VAT basis changes)
+  const comparisonDate = priceData?.session && comparisonKey
+    ? getComparisonDate(priceData.session.date, comparisonKey, pickedDate)
+    : null;
+  const comparisonRequest = comparisonDate && `${comparisonDate}:${vat}`;
+  useEffect(() => {
+    if (!comparisonDate) return;
+    let cancelled = false;
+    fetchCurveFromAPI(comparisonDate, vat).then(curve => {
+      if (!cancelled) setPriorCurve({ request: `${comparisonDate}:${vat}`, curve });
+    });
+    return () => { cancelled = true; };
+  }, [comparisonDate, vat]);
+  const comparisonCurve = priorCurve?.request === comparisonRequest ? priorCurve.curve : null;
+  const comparisonMissing = priorCurve?.request === comparisonRequest && !priorCurve.curve;
 
   const handleRefresh = async () => {
     setRefreshing(true);
@@ -50,50 +119,120 @@ function App() {
     setTimeout(() => setRefreshing(false), 800);
   };
 
+  // Remember the display currency between visits
+  useEffect(() => saveCurrency(currency), [currency]);
+
   // Get spot prices
-  const spotPrices = useMemo(() => getSpotPrices(priceData), [priceData]);
+  const spotPrices = useMemo(() => (priceData ? getSpotPrices(priceData, currency) : {}), [priceData, currency]);
 
   // Calculate conversion rate
-  const conversionRate = useMemo(() => getConversionRate(priceData), [priceData]);
+  const conversionRate = useMemo(() => (priceData ? getConversionRate(priceData) : null), [priceData]);
+  const fxSource = useMemo(() => (priceData ? getFxSource(priceData) : null), [priceData]);
+  const displayRate = useMemo(() => (priceData ? getDisplayRate(priceData, currency) : null), [priceData, currency]);
+  const rateNote = priceData ? formatDisplayRate(displayRate, currency) : null;
 
   // Get futures contracts in USD
   const futuresContracts = useMemo(() =>
-    getFuturesContractsUSD(priceData), [priceData]
+    (priceData ? getFuturesContracts(priceData, currency) : []), [priceData, currency]
   );
 
   // Get chart data
   const chartData = useMemo(() =>
-    getChartData(priceData), [priceData]
+    (priceData ? getChartData(priceData, currency) : []), [priceData, currency]
   );
 
-  const currentProduct = spotPrices[activeTab];
+  // Per-contract moves since the comparison curve, and its prices lined up with the chart
+  const comparison = useMemo(() => {
+    if (!comparisonCurve) return null;
+    const deltas = alignCurve(futuresContracts, comparisonCurve, currency);
+    return {
+      date: comparisonCurve.date,
+      deltas,
+      prices: chartData.map(d => deltas[d.contract]?.price ?? null),
+    };
+  }, [comparisonCurve, futuresContracts, chartData, currency]);
+
+  // Curve shape, with the chosen spread pair (front to back until one is picked)
+  const contractCodes = useMemo(() => futuresContracts.filter(c => !c.isSpot).map(c => c.contract), [futuresContracts]);
+  const pair = useMemo(() => (spreadPair && spreadPair.every(code => contractCodes.includes(code))
+    ? spreadPair
+    : [contractCodes[0], contractCodes[contractCodes.length - 1]]), [spreadPair, contractCodes]);
+  const curveAnalytics = useMemo(() =>
+    (priceData ? getCurveAnalytics(priceData, [pair]) : null), [priceData, pair]
+  );
+
+  // Products with prices, as tabs and "More" menu entries
+  const productTabs = useMemo(() => getProductTabs(spotPrices), [spotPrices]);
+
+  const currentProduct = spotPrices[activeTab] || spotPrices.carbonate;
+  const catalogEntry = getProduct(currentProduct?.id || activeTab);
+  const isMoreProduct = productTabs.more.some(p => p.id === activeTab);
 
   return (
     <div className="app">
       {/* Tab Switcher */}
       <div className="tab-switcher">
         <div className="tab-container">
-          <button
-            className={`tab-btn ${activeTab === 'carbonate' ? 'active' : ''}`}
-            onClick={() => setActiveTab('carbonate')}
-          >
-            Carbonate
-          </button>
-          <button
-            className={`tab-btn ${activeTab === 'spodumene' ? 'active' : ''}`}
-            onClick={() => setActiveTab('spodumene')}
-          >
-            Spodumene
-          </button>
+          {productTabs.featured.map(product => (
+            <button
+              key={product.id}
+              className={`tab-btn ${activeTab === product.id ? 'active' : ''}`}
+              onClick={() => setActiveTab(product.id)}
+            >
+              {product.label}
+            </button>
+          ))}
+          {productTabs.more.length > 0 && (
+            <select
+              className={`tab-select ${isMoreProduct ? 'active' : ''}`}
+              value={isMoreProduct ? activeTab : ''}
+              onChange={(e) => setActiveTab(e.target.value)}
+            >
+              <option value="" disabled>More</option>
+              {productTabs.more.map(product => (
+                <option key={product.id} value={product.id}>{product.label}</option>
+              ))}
+            </select>
+          )}
         </div>
       </div>
 
+      {/* Offline / stale / degraded data warning */}
+      <StatusBanner
+        health={health}
+        offline={priceData?.offline ? priceData : null}
+        retryIn={failures > 0 ? getRetryDelay(failures) : null}
+      />
+
       {/* Market Badge */}
       <div className="market-badge">
         <div className="badge">
           <span className="badge-dot"></span>
           SMM SPOT MARKET
         </div>
+        <div className="range-selector currency-toggle">
+          {CURRENCY_OPTIONS.map(option => (
+            <button
+              key={option.key}
+              className={`range-btn ${currency === option.key ? 'active' : ''}`}
+              onClick={() => setCurrency(option.key)}
+              title={option.name}
+            >
+              {option.key}
+            </button>
+          ))}
+        </div>
+        <div className="range-selector vat-toggle">
+          {VAT_OPTIONS.map(option => (
+            <button
+              key={option.key}
+              className={`range-btn ${vat === option.key ? 'active' : ''}`}
+              onClick={() => setVat(option.key)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
       </div>
 
       {/* Loading State */}
@@ -101,22 +240,85 @@ function App() {
         <div className="price-display">
           <div className="loading-text">Loading prices...</div>
         </div>
+      ) : !currentProduct ? (
+        <div className="price-display">
+          <div className="loading-text">Prices are unavailable right now.</div>
+          <button className="range-btn" onClick={handleRefresh} disabled={refreshing}>
+            Try again
+          </button>
+        </div>
       ) : (
         <>
           {/* Price Display */}
-          <PriceDisplay product={currentProduct} />
+          <PriceDisplay
+            product={currentProduct}
+            basis={catalogEntry?.vatExempt ? 'No VAT' : VAT_OPTIONS.find(o => o.key === vat).label}
+            currency={currency}
+            rateNote={rateNote}
+          />
+
+          {/* Spot Price History */}
+          <SpotHistoryChart
+            productName={catalogEntry?.label || currentProduct.name}
+            currency={currency}
+            unit={`${currency}/${catalogEntry?.smm.unit || 'mt'}`}
+            series={history[historyKey] || []}
+            displayRate={displayRate}
+          />
+
+          {/* Monthly, quarter-to-date and custom-window averages for contract settlement */}
+          <AveragesTable
+            productName={catalogEntry?.label || currentProduct.name}
+            series={history[historyKey] || []}
+            currency={currency}
+            basis={catalogEntry?.vatExempt ? 'No VAT' : VAT_OPTIONS.find(o => o.key === vat).label}
+          />
 
-          {/* Show futures curve only for Carbonate, spot notice for Spodumene */}
-          {activeTab === 'carbonate' ? (
+          {/* Show futures curve only for products with GFEX futures, spot notice otherwise */}
+          {catalogEntry?.hasFutures ? (
             <>
-              <FuturesCurve chartData={chartData} />
-              <ContractsTable contracts={futuresContracts} />
+              <FuturesCurve
+                chartData={chartData}
+                currency={currency}
+                rate={displayRate?.rate}
+                comparison={comparison}
+                comparisonKey={comparisonKey}
+                comparisonMissing={comparisonMissing}
+                pickedDate={pickedDate}
+                onComparisonChange={setComparisonKey}
+                onPickDate={setPickedDate}
+              />
+              <CurveAnalytics
+                analytics={curveAnalytics}
+                contracts={contractCodes}
+                pair={pair}
+                onPairChange={setSpreadPair}
+                currency={currency}
+                rate={displayRate?.rate}
+              />
+              <ForwardPrice
+                contracts={futuresContracts}
+                sessionDate={priceData.session?.date}
+                currency={currency}
+              />
+              <ContractsTable
+                contracts={futuresContracts}
+                currency={currency}
+                vat={vat}
+                comparison={comparison}
+                displayRate={displayRate}
+              />
 
               {/* Conversion Rate & Last Updated Info */}
               <div className="conversion-rate">
                 <div className="update-info">
                   <span className="rate-text">
-                    CNY/USD: <span className="rate-value">{conversionRate.toFixed(4)}</span>
+                    {fxSource.pair}: <span className="rate-value">{conversionRate.toFixed(4)}</span>
+                    {fxSource.label && (
+                      <span className="rate-source">
+                        {' '}({fxSource.label}{fxSource.date ? `, ${formatQuoteDate(fxSource.date)}` : ''})
+                      </span>
+                    )}
                     {' '}• Updated: <span className="rate-value">{formatLastUpdated(lastUpdated)}</span>
                   </span>
                   <button
@@ -138,7 +340,7 @@ function App() {
                 <div className="notice-icon">ⓘ</div>
                 <div className="notice-title">Spot Only Asset</div>
                 <p className="notice-text">
-                  Spodumene concentrate pricing is currently restricted to physical spot settlements.
+                  {catalogEntry?.label || currentProduct.name} pricing is currently restricted to physical spot settlements.
                   <br />
                   No active futures derivatives are listed for this grade on GFEX.
                 </p>
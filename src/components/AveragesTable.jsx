@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { formatMoney, formatQuoteDate, getPriceAverages } from '../data/lithiumData';
+
+function formatMonth(period) {
+    return new Date(`${period}-01T00:00:00Z`).toLocaleDateString('en-US', {
+        month: 'short',
+        year: 'numeric',
+        timeZone: 'UTC',
+    });
+}
+
+/**
+ * One averaging period: simple and trading-day weighted averages and the days behind them
+ */
+function AverageRow({ label, note, average, currency }) {
+    return (
+        <div className="average-row">
+            <span className="average-period">
+                {label}
+                {note && <span className="average-note"> {note}</span>}
+            </span>
+            <span className="average-value">{formatMoney(average.simple, currency)}</span>
+            <span className="average-value">{formatMoney(average.weighted, currency)}</span>
+            <span className="average-days" title={`${average.tradingDays} trading days`}>
+                {average.pricingDays}
+            </span>
+        </div>
+    );
+}
+
+/**
+ * Settlement averages for the active product: quarter-to-date, the last six
+ * calendar months and a custom window, from the daily history series.
+ */
+function AveragesTable({ productName, series, currency = 'USD', basis }) {
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+
+    const averages = getPriceAverages(series, { currency, from, to });
+    if (!averages.quarterToDate) return null;
+
+    return (
+        <div className="contracts-section">
+            <div className="contracts-header">
+                <h3 className="contracts-title">
+                    <span className="contracts-icon"></span>
+                    Average Prices
+                </h3>
+                <span className="contracts-subtitle">{productName} · {basis}</span>
+            </div>
+
+            <div className="contracts-table">
+                <div className="average-row table-header">
+                    <span>Period</span>
+                    <span>Simple</span>
+                    <span>Weighted</span>
+                    <span title="Assessments in the period">Days</span>
+                </div>
+
+                <AverageRow
+                    label={`${averages.quarterToDate.period} to date`}
+                    average={averages.quarterToDate}
+                    currency={currency}
+                />
+                {averages.months.filter(month => month.pricingDays > 0).map(month => (
+                    <AverageRow
+                        key={month.period}
+                        label={formatMonth(month.period)}
+                        note={month.partial ? `to ${formatQuoteDate(month.to)}` : null}
+                        average={month}
+                        currency={currency}
+                    />
+                ))}
+
+                <div className="average-row average-custom">
+                    <span className="spread-picker">
+                        <input
+                            type="date"
+                            className="curve-compare-date"
+                            value={from}
+                            onChange={(event) => setFrom(event.target.value)}
+                            aria-label="Window start"
+                        />
+                        –
+                        <input
+                            type="date"
+                            className="curve-compare-date"
+                            value={to}
+                            onChange={(event) => setTo(event.target.value)}
+                            aria-label="Window end"
+                        />
+                    </span>
+                    {averages.custom ? (
+                        <>
+                            <span className="average-value">{formatMoney(averages.custom.simple, currency)}</span>
+                            <span className="average-value">{formatMoney(averages.custom.weighted, currency)}</span>
+                            <span className="average-days">{averages.custom.pricingDays}</span>
+                        </>
+                    ) : (
+                        <span className="average-note average-empty">Pick a custom window</span>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default AveragesTable;
@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from 'react';
+import SpotHistoryChart from './SpotHistoryChart';
+import {
+    fetchHistoryFromAPI,
+    formatMoney,
+    getContractSpreads,
+    getPeriodChanges,
+} from '../data/lithiumData';
+
+function formatPercent(value) {
+    if (value === null || value === undefined) return 'N/A';
+    const sign = value > 0 ? '+' : '';
+    return `${sign}${value.toFixed(2)}%`;
+}
+
+function directionClass(value) {
+    if (value === null || value === undefined || value === 0) return 'neutral';
+    return value > 0 ? 'positive' : 'negative';
+}
+
+/**
+ * Detail for an expanded GFEX contract row: changes over 1D / 1W / 1M, spreads
+ * to spot and the neighbouring contracts, and the contract's daily history
+ * since it was first recorded (fetched when the panel opens).
+ */
+function ContractDetail({ contract, contracts, currency = 'USD', vat = 'incl', displayRate = null }) {
+    const [series, setSeries] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchHistoryFromAPI(contract.contract, vat).then(points => {
+            if (!cancelled) setSeries(points);
+        });
+        return () => { cancelled = true; };
+    }, [contract.contract, vat]);
+
+    const changes = getPeriodChanges(series || []);
+    const spreads = getContractSpreads(contracts, contract.contract);
+
+    return (
+        <div className="contract-detail">
+            <div className="intraday-stats">
+                {changes.map(change => (
+                    <div key={change.key} className="intraday-stat">
+                        <span className="intraday-label">{change.key} Change</span>
+                        <span className={`intraday-value ${directionClass(change.changePercent)}`}>
+                            {series ? formatPercent(change.changePercent) : '…'}
+                        </span>
+                    </div>
+                ))}
+            </div>
+
+            <div className="intraday-stats">
+                {spreads.map(spread => (
+                    <div key={spread.label} className="intraday-stat">
+                        <span className="intraday-label">
+                            vs {spread.label === 'Spot' ? 'Spot' : spread.contract}
+                        </span>
+                        <span className={`intraday-value ${directionClass(spread.spread)}`}>
+                            {spread.spread === null
+                                ? 'N/A'
+                                : `${spread.spread >= 0 ? '+' : '-'}${formatMoney(Math.abs(spread.spread), currency)}`}
+                        </span>
+                        <span className="intraday-label">{formatPercent(spread.percent)}</span>
+                    </div>
+                ))}
+            </div>
+
+            {series && (
+                <SpotHistoryChart
+                    title={`${contract.contract} History`}
+                    subtitle={`GFEX ${contract.month} · Daily Settlement`}
+                    currency={currency}
+                    unit={`${currency}/mt`}
+                    series={series}
+                    displayRate={displayRate}
+                    defaultRange="All"
+                />
+            )}
+        </div>
+    );
+}
+
+export default ContractDetail;
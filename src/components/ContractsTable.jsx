@@ -1,9 +1,90 @@
-import React from 'react';
+import React, { useState } from 'react';
+import ContractDetail from './ContractDetail';
+import { formatMoney, formatQuoteDate } from '../data/lithiumData';
 
-function ContractsTable({ contracts }) {
-    const formatPrice = (price) => {
-        return new Intl.NumberFormat('en-US').format(price);
-    };
+/**
+ * Intraday range for an expanded row: open/high/low and where the latest
+ * price sits between the session low and high (the spot row has no open,
+ * its low/high is the SMM assessment range)
+ */
+function IntradayRange({ contract, currency }) {
+    const { open, high, low, price } = contract;
+    const hasRange = high !== null && low !== null && high > low;
+    const position = hasRange ? ((price - low) / (high - low)) * 100 : 50;
+    const spread = hasRange ? ((high - low) / low) * 100 : null;
+
+    return (
+        <div className="intraday-range">
+            <div className="intraday-stats">
+                {open !== undefined && (
+                    <div className="intraday-stat">
+                        <span className="intraday-label">Open</span>
+                        <span className="intraday-value">{formatMoney(open, currency)}</span>
+                    </div>
+                )}
+                <div className="intraday-stat">
+                    <span className="intraday-label">High</span>
+                    <span className="intraday-value">{formatMoney(high, currency)}</span>
+                </div>
+                <div className="intraday-stat">
+                    <span className="intraday-label">Low</span>
+                    <span className="intraday-value">{formatMoney(low, currency)}</span>
+                </div>
+                <div className="intraday-stat">
+                    <span className="intraday-label">Range</span>
+                    <span className="intraday-value">{spread !== null ? `${spread.toFixed(2)}%` : 'N/A'}</span>
+                </div>
+            </div>
+            {hasRange && (
+                <div className="range-bar">
+                    <div className="range-marker" style={{ left: `${position}%` }}></div>
+                </div>
+            )}
+            <div className="intraday-date">
+                Quote date: {formatQuoteDate(contract.date)}
+                {contract.lastTradingDay && (
+                    <span className="contract-expiry">
+                        {' · '}Last trading day {formatQuoteDate(contract.lastTradingDay)}
+                        {contract.daysToExpiry !== null && ` (${contract.daysToExpiry} trading days left)`}
+                    </span>
+                )}
+            </div>
+            {contract.runId && (
+                // Trace with `node scripts/runs.js show <run>`
+                <div className="intraday-provenance">
+                    Source: {contract.source || 'unknown'} · Run {contract.runId}
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Move since the comparison date: signed amount and percent
+ */
+function ContractDelta({ move, currency }) {
+    if (!move || move.delta === null) {
+        return <div className="contract-delta neutral">Not listed</div>;
+    }
+    const direction = move.delta > 0 ? 'positive' : move.delta < 0 ? 'negative' : 'neutral';
+    const sign = move.delta > 0 ? '+' : move.delta < 0 ? '-' : '';
+    return (
+        <div className={`contract-delta ${direction}`}>
+            <span>{sign}{formatMoney(Math.abs(move.delta), currency)}</span>
+            {move.deltaPercent !== null && (
+                <span className="contract-delta-percent">{sign}{Math.abs(move.deltaPercent).toFixed(2)}%</span>
+            )}
+        </div>
+    );
+}
+
+/**
+ * `comparison` ({ date, deltas: { [contract]: { price, delta, deltaPercent } } })
+ * adds a column with each contract's move since that date. Clicking a row
+ * opens its intraday range and, for a contract, its detail panel.
+ */
+function ContractsTable({ contracts, currency = 'USD', vat = 'incl', comparison = null, displayRate = null }) {
+    const [expanded, setExpanded] = useState(null);
 
     const formatChange = (change) => {
         // Handle null/undefined - show N/A
@@ -22,6 +103,14 @@ function ContractsTable({ contracts }) {
         return 'neutral';
     };
 
+    // Quotes older than the newest one (e.g. a contract that did not trade today)
+    const latestDate = contracts.reduce((latest, c) => (c.date && c.date > latest ? c.date : latest), '');
+    const isStale = (contract) => contract.date && contract.date < latestDate;
+
+    const toggle = (contract) => {
+        setExpanded(expanded === contract.contract ? null : contract.contract);
+    };
+
     return (
         <div className="contracts-section">
             <div className="contracts-header">
@@ -35,30 +124,58 @@ function ContractsTable({ contracts }) {
             <div className="contracts-table">
                 <div className="table-header">
                     <span>Maturity / Contract</span>
+                    {comparison && <span className="delta-header">Δ vs {formatQuoteDate(comparison.date)}</span>}
                     <span>Price / 24H Change</span>
                 </div>
 
                 {contracts.map((contract) => (
                     <div
                         key={contract.contract}
-                        className={`contract-row ${contract.isSpot ? 'spot-row' : ''}`}
+                        className={`contract-item ${expanded === contract.contract ? 'expanded' : ''}`}
                     >
-                        <div className="contract-info">
-                            <span className={`contract-dot ${contract.isSpot ? 'spot' : ''}`}></span>
-                            <div className="contract-details">
-                                <span className={`contract-month ${contract.isSpot ? 'spot' : ''}`}>
-                                    {contract.month}
-                                </span>
-                                <span className="contract-type">{contract.type}</span>
+                        <div
+                            className={`contract-row ${contract.isSpot ? 'spot-row' : ''}`}
+                            onClick={() => toggle(contract)}
+                        >
+                            <div className="contract-info">
+                                <span className={`contract-dot ${contract.isSpot ? 'spot' : ''}`}></span>
+                                <div className="contract-details">
+                                    <span className={`contract-month ${contract.isSpot ? 'spot' : ''}`}>
+                                        {contract.month}
+                                    </span>
+                                    <span className="contract-type">
+                                        {contract.type}
+                                        {isStale(contract) && (
+                                            <span className="contract-stale"> · {formatQuoteDate(contract.date)}</span>
+                                        )}
+                                    </span>
+                                </div>
                             </div>
-                        </div>
 
-                        <div className="contract-price-info">
-                            <div className="contract-price">${formatPrice(contract.price)}</div>
-                            <div className={`contract-change ${getChangeClass(contract.change)}`}>
-                                {formatChange(contract.change)} {contract.change !== null ? 'vs yesterday' : ''}
+                            {comparison && (
+                                <ContractDelta move={comparison.deltas[contract.contract]} currency={currency} />
+                            )}
+
+                            <div className="contract-price-info">
+                                <div className="contract-price">{formatMoney(contract.price, currency)}</div>
+                                <div className={`contract-change ${getChangeClass(contract.change)}`}>
+                                    {formatChange(contract.change)} {contract.change !== null ? 'vs prev. session' : ''}
+                                </div>
                             </div>
                         </div>
+
+                        {expanded === contract.contract && (
+                            <IntradayRange contract={contract} currency={currency} />
+                        )}
+                        {expanded === contract.contract && !contract.isSpot && (
+                            <ContractDetail
+                                contract={contract}
+                                contracts={contracts}
+                                currency={currency}
+                                vat={vat}
+                                displayRate={displayRate}
+                            />
+                        )}
                     </div>
                 ))}
             </div>
@@ -0,0 +1,121 @@
+import React from 'react';
+import { formatMoney, spreadInCurrency } from '../data/lithiumData';
+
+const STRUCTURES = {
+    contango: 'Contango · deferred above nearby',
+    backwardation: 'Backwardation · nearby above deferred',
+    flat: 'Flat curve',
+    mixed: 'Mixed curve',
+};
+
+function formatSigned(value, suffix = '') {
+    if (value === null || value === undefined) return 'N/A';
+    const sign = value > 0 ? '+' : '';
+    return `${sign}${value.toFixed(2)}%${suffix}`;
+}
+
+function directionClass(value) {
+    if (value === null || value === undefined || value === 0) return 'neutral';
+    return value > 0 ? 'positive' : 'negative';
+}
+
+/**
+ * One spread: signed value in the display currency, percent and annualized carry
+ */
+function SpreadRow({ label, spread, currency, rate, emptyText = 'Not on the curve' }) {
+    const value = spreadInCurrency(spread, currency, rate);
+    return (
+        <div className="spread-row">
+            <span className="spread-label">{label}</span>
+            {!spread || spread.missing ? (
+                <span className="spread-value spread-empty">{emptyText}</span>
+            ) : (
+                <>
+                    <span className={`spread-value ${directionClass(value)}`}>
+                        {value === null ? 'N/A' : `${value > 0 ? '+' : value < 0 ? '-' : ''}${formatMoney(Math.abs(value), currency)}`}
+                    </span>
+                    <span className="spread-percent">{formatSigned(spread.percent)}</span>
+                    <span className="spread-carry">{formatSigned(spread.annualizedCarry, ' p.a.')}</span>
+                </>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Curve shape under the futures chart: contango/backwardation, basis of the
+ * front month over spot, consecutive calendar spreads and a chosen pair.
+ * `pair` is the chosen [near, far] (its spread is `analytics.pairs[0]`).
+ */
+function CurveAnalytics({ analytics, contracts, pair, onPairChange, currency = 'USD', rate = 1 }) {
+    const [near, far] = pair;
+    const choose = (index) => (event) => {
+        const next = [...pair];
+        next[index] = event.target.value;
+        onPairChange(next);
+    };
+
+    return (
+        <div className="contracts-section">
+            <div className="contracts-header">
+                <h3 className="contracts-title">
+                    <span className="contracts-icon"></span>
+                    Curve Analytics
+                </h3>
+                <span className={`curve-structure ${analytics.structure || ''}`}>
+                    {STRUCTURES[analytics.structure] || 'No curve'}
+                </span>
+            </div>
+
+            <div className="contracts-table">
+                <div className="table-header">
+                    <span>Spread</span>
+                    <span>Value / % / Annualized Carry</span>
+                </div>
+
+                {analytics.basis && (
+                    <SpreadRow label={`Basis · ${analytics.basis.to} vs Spot`} spread={analytics.basis} currency={currency} rate={rate} />
+                )}
+                {analytics.frontToBack && (
+                    <SpreadRow
+                        label={`Front to back · ${analytics.frontToBack.from}–${analytics.frontToBack.to}`}
+                        spread={analytics.frontToBack}
+                        currency={currency}
+                        rate={rate}
+                    />
+                )}
+                {analytics.spreads.filter(Boolean).map(spread => (
+                    <SpreadRow
+                        key={`${spread.from}-${spread.to}`}
+                        label={`${spread.from}–${spread.to}`}
+                        spread={spread}
+                        currency={currency}
+                        rate={rate}
+                    />
+                ))}
+
+                {contracts.length > 1 && (
+                    <SpreadRow
+                        label={(
+                            <span className="spread-picker">
+                                <select value={near} onChange={choose(0)} aria-label="Near contract">
+                                    {contracts.map(code => <option key={code} value={code}>{code}</option>)}
+                                </select>
+                                –
+                                <select value={far} onChange={choose(1)} aria-label="Far contract">
+                                    {contracts.map(code => <option key={code} value={code}>{code}</option>)}
+                                </select>
+                            </span>
+                        )}
+                        spread={near < far ? analytics.pairs[0] : null}
+                        emptyText="Pick a later far contract"
+                        currency={currency}
+                        rate={rate}
+                    />
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default CurveAnalytics;
@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { FORWARD_METHODS, formatMoney, formatQuoteDate, getForwardPrice } from '../data/lithiumData';
+
+/**
+ * Forward price for a delivery date between (or past) the listed contracts,
+ * interpolated on the displayed curve. Past the last contract the price is
+ * that contract's, flagged as extrapolated.
+ */
+function ForwardPrice({ contracts, sessionDate, currency = 'USD' }) {
+    const [date, setDate] = useState('');
+    const [method, setMethod] = useState('linear');
+
+    const forward = date && sessionDate ? getForwardPrice(contracts, sessionDate, date, method) : null;
+
+    return (
+        <div className="contracts-section">
+            <div className="contracts-header">
+                <h3 className="contracts-title">
+                    <span className="contracts-icon"></span>
+                    Forward Price
+                </h3>
+                <div className="range-selector">
+                    {FORWARD_METHODS.map(option => (
+                        <button
+                            key={option.key}
+                            className={`range-btn ${method === option.key ? 'active' : ''}`}
+                            onClick={() => setMethod(option.key)}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="contracts-table forward-price">
+                <label className="forward-input">
+                    <span className="intraday-label">Delivery date</span>
+                    <input
+                        type="date"
+                        className="curve-compare-date"
+                        min={sessionDate || undefined}
+                        value={date}
+                        onChange={(event) => setDate(event.target.value)}
+                    />
+                </label>
+
+                {!date ? (
+                    <span className="forward-note">Pick a delivery date to price it off the curve</span>
+                ) : !forward ? (
+                    <span className="forward-note">Delivery must be on or after {formatQuoteDate(sessionDate)}</span>
+                ) : (
+                    <div className="forward-result">
+                        <span className="contract-price">{formatMoney(forward.price, currency)}</span>
+                        <span className={`forward-note ${forward.extrapolated ? 'extrapolated' : ''}`}>
+                            {forward.extrapolated
+                                ? `Extrapolated · held at ${forward.from}, the last listed contract`
+                                : forward.from === forward.to
+                                    ? `On ${forward.from}`
+                                    : `Interpolated between ${forward.from} and ${forward.to}`}
+                        </span>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default ForwardPrice;
@@ -1,56 +1,50 @@
 import React, { useRef } from 'react';
-import {
-    Chart as ChartJS,
-    CategoryScale,
-    LinearScale,
-    PointElement,
-    LineElement,
-    Title,
-    Tooltip,
-    Filler,
-} from 'chart.js';
 import { Line } from 'react-chartjs-2';
+import { tooltipStyle, greenGradient } from './chartSetup';
+import { CURVE_COMPARISONS, formatMoney, formatQuoteDate } from '../data/lithiumData';
 
-ChartJS.register(
-    CategoryScale,
-    LinearScale,
-    PointElement,
-    LineElement,
-    Title,
-    Tooltip,
-    Filler
-);
-
-function FuturesCurve({ chartData }) {
+/**
+ * Spot and GFEX curve. With a `comparison` ({ date, prices } lined up with
+ * chartData, null where a contract was not listed) the earlier curve is drawn
+ * over it, with the gap between the two shaded: green where the curve rose,
+ * red where it fell.
+ */
+function FuturesCurve({
+    chartData,
+    currency = 'USD',
+    rate = 1,
+    comparison = null,
+    comparisonKey = null,
+    comparisonMissing = false,
+    pickedDate = '',
+    onComparisonChange = () => {},
+    onPickDate = () => {},
+}) {
     const chartRef = useRef(null);
 
     const labels = chartData.map(d => d.label);
     const prices = chartData.map(d => d.price);
+    const allPrices = [...prices, ...(comparison?.prices || [])].filter(p => p !== null && p !== undefined);
 
     // Calculate range to determine step size
-    const minPrice = prices.length > 0 ? Math.min(...prices) : 0;
-    const maxPrice = prices.length > 0 ? Math.max(...prices) : 0;
+    const minPrice = allPrices.length > 0 ? Math.min(...allPrices) : 0;
+    const maxPrice = allPrices.length > 0 ? Math.max(...allPrices) : 0;
     const range = maxPrice - minPrice;
-    const stepSize = range <= 5000 ? 500 : 1000;
+    // Scale the grid with the currency (CNY prices are about 7x larger, ARS about 1000x)
+    const scale = 10 ** Math.max(0, Math.round(Math.log10(rate || 1)));
+    const stepSize = (range <= 5000 * scale ? 500 : 1000) * scale;
 
     const data = {
         labels,
         datasets: [
             {
-                label: 'Price (USD/mt)',
+                label: `Price (${currency}/mt)`,
                 data: prices,
                 borderColor: '#00DC82',
                 borderWidth: 2,
                 borderDash: [6, 4],
-                backgroundColor: (context) => {
-                    const ctx = context.chart.ctx;
-                    const gradient = ctx.createLinearGradient(0, 0, 0, 280);
-                    gradient.addColorStop(0, 'rgba(0, 220, 130, 0.25)');
-                    gradient.addColorStop(0.5, 'rgba(0, 220, 130, 0.08)');
-                    gradient.addColorStop(1, 'rgba(0, 220, 130, 0)');
-                    return gradient;
-                },
-                fill: true,
+                backgroundColor: greenGradient,
+                fill: !comparison,
                 tension: 0.4,
                 pointRadius: (context) => {
                     // Larger point for spot price
@@ -61,6 +55,19 @@ function FuturesCurve({ chartData }) {
                 pointBorderColor: '#00DC82',
                 pointBorderWidth: 0,
             },
+            ...(comparison ? [{
+                label: `${formatQuoteDate(comparison.date)} (${currency}/mt)`,
+                data: comparison.prices,
+                borderColor: '#888888',
+                borderWidth: 1.5,
+                // Shade the gap to today's curve: earlier curve above means prices fell
+                fill: { target: 0, above: 'rgba(255, 71, 87, 0.15)', below: 'rgba(0, 220, 130, 0.15)' },
+                tension: 0.4,
+                pointRadius: 3,
+                pointBackgroundColor: '#888888',
+                pointBorderWidth: 0,
+                spanGaps: true,
+            }] : []),
         ],
     };
 
@@ -76,16 +83,12 @@ function FuturesCurve({ chartData }) {
                 display: false,
             },
             tooltip: {
-                backgroundColor: '#1A1A1A',
-                titleColor: '#FFFFFF',
-                bodyColor: '#888888',
-                borderColor: '#2A2A2A',
-                borderWidth: 1,
-                padding: 12,
-                displayColors: false,
+                ...tooltipStyle,
                 callbacks: {
                     title: (items) => items[0].label,
-                    label: (item) => `$${item.raw.toLocaleString()} USD/mt`,
+                    label: (item) => (comparison
+                        ? `${item.datasetIndex === 0 ? 'Now' : formatQuoteDate(comparison.date)}: ${formatMoney(item.raw, currency)} ${currency}/mt`
+                        : `${formatMoney(item.raw, currency)} ${currency}/mt`),
                 },
             },
         },
@@ -117,7 +120,7 @@ function FuturesCurve({ chartData }) {
                         size: 11,
                     },
                     stepSize: stepSize,
-                    callback: (value) => `$${value.toLocaleString()}`,
+                    callback: (value) => formatMoney(value, currency),
                 },
                 border: {
                     display: false,
@@ -142,7 +145,36 @@ function FuturesCurve({ chartData }) {
                         <span className="legend-line"></span>
                         <span>Futures</span>
                     </div>
+                    {comparison && (
+                        <div className="legend-item">
+                            <span className="legend-line compare"></span>
+                            <span>{formatQuoteDate(comparison.date)}</span>
+                        </div>
+                    )}
+                </div>
+            </div>
+            <div className="curve-compare">
+                <span className="curve-compare-label">Compare</span>
+                <div className="range-selector">
+                    {CURVE_COMPARISONS.map(option => (
+                        <button
+                            key={option.key}
+                            className={`range-btn ${comparisonKey === option.key ? 'active' : ''}`}
+                            onClick={() => onComparisonChange(comparisonKey === option.key ? null : option.key)}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
                 </div>
+                {comparisonKey === 'date' && (
+                    <input
+                        type="date"
+                        className="curve-compare-date"
+                        value={pickedDate}
+                        onChange={(event) => onPickDate(event.target.value)}
+                    />
+                )}
+                {comparisonMissing && <span className="curve-compare-label">No curve for that date</span>}
             </div>
             <div className="chart-container">
                 <Line ref={chartRef} data={data} options={options} />
@@ -1,17 +1,14 @@
 import React from 'react';
+import { formatMoney } from '../data/lithiumData';
 
-function PriceDisplay({ product }) {
+function PriceDisplay({ product, basis, currency = 'USD', rateNote = null }) {
     const hasChange = product.change !== null && product.change !== undefined;
     const isPositive = hasChange && product.change >= 0;
 
-    const formatPrice = (price) => {
-        return new Intl.NumberFormat('en-US').format(price);
-    };
-
     const formatChange = (change) => {
         if (change === null || change === undefined) return 'N/A';
         const sign = change >= 0 ? '+' : '';
-        return `${sign}$${formatPrice(Math.abs(change))}`;
+        return `${sign}${formatMoney(Math.abs(change), currency)}`;
     };
 
     const formatPercent = (percent) => {
@@ -27,9 +24,11 @@ function PriceDisplay({ product }) {
             </h2>
 
             <div className="main-price">
-                <span className="price-value">${formatPrice(product.price)}</span>
+                <span className="price-value">{formatMoney(product.price, currency)}</span>
                 <span className="price-unit">{product.unit}</span>
+                {basis && <span className="price-basis">{basis}</span>}
             </div>
+            {rateNote && <div className="price-fx">{rateNote}</div>}
 
             <div className="variation-container">
                 <div className="variation-pill">
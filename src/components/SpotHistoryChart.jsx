@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import { tooltipStyle, tickFont, greenGradient } from './chartSetup';
+import { HISTORY_RANGES, getHistoryRange, getHistoryPrices, formatChartDate, formatMoney } from '../data/lithiumData';
+
+/**
+ * Daily close chart with range buttons. Used for spot products and, with a
+ * `title`/`subtitle` and an 'All' default range, for a contract's history.
+ */
+function SpotHistoryChart({
+    productName,
+    currency = 'USD',
+    unit = 'USD/mt',
+    series,
+    displayRate = null,
+    title = 'Spot Price History',
+    subtitle = `SMM ${productName} Daily Assessment`,
+    defaultRange = '3M',
+}) {
+    const [range, setRange] = useState(defaultRange);
+
+    const points = getHistoryRange(series, range);
+    const labels = points.map(p => formatChartDate(p.date));
+    const prices = getHistoryPrices(points, currency);
+    // Only USD and CNY are stored; anything else is converted at each day's rate
+    const converted = !['USD', 'CNY'].includes(currency);
+
+    const data = {
+        labels,
+        datasets: [
+            {
+                label: `Price (${unit})`,
+                data: prices,
+                borderColor: '#00DC82',
+                borderWidth: 2,
+                backgroundColor: greenGradient,
+                fill: true,
+                tension: 0.2,
+                pointRadius: points.length > 40 ? 0 : 3,
+                pointHoverRadius: 5,
+                pointBackgroundColor: '#00DC82',
+                spanGaps: true,
+            },
+        ],
+    };
+
+    const options = {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+            mode: 'index',
+            intersect: false,
+        },
+        plugins: {
+            legend: {
+                display: false,
+            },
+            tooltip: {
+                ...tooltipStyle,
+                callbacks: {
+                    title: (items) => points[items[0].dataIndex].date,
+                    label: (item) => `${formatMoney(item.raw, currency)} ${unit}`,
+                },
+            },
+        },
+        scales: {
+            x: {
+                grid: {
+                    display: false,
+                },
+                ticks: {
+                    ...tickFont,
+                    maxTicksLimit: 8,
+                },
+                border: {
+                    display: false,
+                },
+            },
+            y: {
+                position: 'right',
+                grid: {
+                    color: 'rgba(42, 42, 42, 0.5)',
+                },
+                ticks: {
+                    ...tickFont,
+                    callback: (value) => formatMoney(value, currency),
+                },
+                border: {
+                    display: false,
+                },
+            },
+        },
+    };
+
+    return (
+        <div className="futures-section">
+            <div className="futures-header">
+                <div>
+                    <h2 className="futures-title">{title}</h2>
+                    <p className="futures-subtitle">
+                        {subtitle}
+                        {converted && displayRate && ` · converted at each day's ${displayRate.pair} rate`}
+                    </p>
+                </div>
+                <div className="range-selector">
+                    {HISTORY_RANGES.map(r => (
+                        <button
+                            key={r.key}
+                            className={`range-btn ${range === r.key ? 'active' : ''}`}
+                            onClick={() => setRange(r.key)}
+                        >
+                            {r.key}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            <div className="chart-container">
+                {points.length > 0 ? (
+                    <Line data={data} options={options} />
+                ) : (
+                    <div className="chart-empty">No history for this range yet</div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default SpotHistoryChart;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { formatLastUpdated } from '../data/lithiumData';
+
+const TITLES = {
+    offline: 'Offline · showing last known prices',
+    stale: 'Prices may be out of date',
+    degraded: 'Price updates are failing',
+};
+
+/**
+ * Warning shown when the API is unreachable and cached prices are shown
+ * (`offline` is that cached response), or when /api/health reports stale or
+ * degraded data. Nothing is shown while the data is live and fresh.
+ */
+function StatusBanner({ health, offline, retryIn }) {
+    if (offline) {
+        return (
+            <div className="status-banner offline" role="status">
+                <div className="status-title">{TITLES.offline}</div>
+                <ul className="status-reasons">
+                    <li>Prices scraped {formatLastUpdated(offline.lastUpdated)}</li>
+                    <li>Saved on this device {formatLastUpdated(offline.cachedAt)}</li>
+                </ul>
+                {retryIn !== null && (
+                    <div className="status-meta">Retrying in {Math.round(retryIn / 1000)}s</div>
+                )}
+            </div>
+        );
+    }
+
+    if (!health || !TITLES[health.status]) return null;
+
+    return (
+        <div className={`status-banner ${health.status}`} role="status">
+            <div className="status-title">{TITLES[health.status]}</div>
+            <ul className="status-reasons">
+                {health.reasons.map(reason => <li key={reason}>{reason}</li>)}
+            </ul>
+            <div className="status-meta">
+                Last scrape: {formatLastUpdated(health.scrape?.scrapedAt)}
+                {health.runs?.lastSuccess && ` · Last successful update: ${formatLastUpdated(health.runs.lastSuccess.finishedAt)}`}
+            </div>
+        </div>
+    );
+}
+
+export default StatusBanner;
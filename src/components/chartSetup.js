@@ -0,0 +1,50 @@
+// Shared Chart.js registration and styling for the dashboard charts
+import {
+    Chart as ChartJS,
+    CategoryScale,
+    LinearScale,
+    PointElement,
+    LineElement,
+    Title,
+    Tooltip,
+    Filler,
+} from 'chart.js';
+
+ChartJS.register(
+    CategoryScale,
+    LinearScale,
+    PointElement,
+    LineElement,
+    Title,
+    Tooltip,
+    Filler
+);
+
+export const tooltipStyle = {
+    backgroundColor: '#1A1A1A',
+    titleColor: '#FFFFFF',
+    bodyColor: '#888888',
+    borderColor: '#2A2A2A',
+    borderWidth: 1,
+    padding: 12,
+    displayColors: false,
+};
+
+export const tickFont = {
+    color: '#555555',
+    font: {
+        size: 11,
+    },
+};
+
+/**
+ * Vertical green gradient used under line charts
+ */
+export function greenGradient(context) {
+    const ctx = context.chart.ctx;
+    const gradient = ctx.createLinearGradient(0, 0, 0, 280);
+    gradient.addColorStop(0, 'rgba(0, 220, 130, 0.25)');
+    gradient.addColorStop(0.5, 'rgba(0, 220, 130, 0.08)');
+    gradient.addColorStop(1, 'rgba(0, 220, 130, 0)');
+    return gradient;
+}
@@ -1,34 +1,382 @@
 // SMM Lithium Price Data - Fetched from API
 // Uses /api/prices endpoint which returns USD-converted prices
 
-// Determine API URL based on environment
-const API_URL = import.meta.env.PROD
-    ? '/api/prices'
-    : '/prices.json';
+import { filterRange } from '../../lib/historySeries.js';
+import { PRODUCT_CATALOG } from '../../lib/products.js';
+import { contractLabel, isContractExpired as contractExpiredOn } from '../../lib/contracts.js';
+import { exchangeToday, previousTradingDay } from '../../lib/tradingCalendar.js';
+import { CURRENCIES, fromUSD } from '../../lib/currencies.js';
+import { analyzeCurve } from '../../lib/curveAnalytics.js';
+import { curveNodes, interpolateCurve } from '../../lib/forwardCurve.js';
+import { averagePrices, monthlyAverages, quarterToDate } from '../../lib/priceAverages.js';
+
+// Served by the api/ functions (vite dev proxies them, see vite.config.js)
+const API_URL = '/api/prices';
+const HISTORY_API_URL = '/api/history';
+const HEALTH_API_URL = '/api/health';
+const CURVE_API_URL = '/api/curve';
+
+// Last good /api/prices response, shown (marked offline) when the API is unreachable
+const PRICE_CACHE_KEY = 'lithium-tracker:prices';
+const RETRY_BASE_MS = 5 * 1000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Range buttons for history charts (counted back from the latest data point)
+export const HISTORY_RANGES = [
+    { key: '1W', days: 7 },
+    { key: '1M', months: 1 },
+    { key: '3M', months: 3 },
+    { key: '6M', months: 6 },
+    { key: '1Y', months: 12 },
+    { key: 'All' },
+];
+
+// Earlier curves the futures chart can be overlaid with (counted back from the session date)
+export const CURVE_COMPARISONS = [
+    { key: '1D', label: 'Prev.' },
+    { key: '1W', label: '1W', days: 7 },
+    { key: '1M', label: '1M', months: 1 },
+    { key: 'date', label: 'Date' },
+];
+
+// Forward price interpolation methods (lib/forwardCurve.js)
+export const FORWARD_METHODS = [
+    { key: 'linear', label: 'Linear' },
+    { key: 'monotone', label: 'Spline' },
+];
+
+// VAT basis toggle (domestic desks trade VAT-inclusive, export desks VAT-exclusive)
+export const VAT_OPTIONS = [
+    { key: 'incl', label: 'VAT Incl.' },
+    { key: 'excl', label: 'VAT Excl.' },
+];
+
+// Display currency toggle (lib/currencies.js), remembered between visits
+export const CURRENCY_OPTIONS = CURRENCIES.map(c => ({ key: c.code, symbol: c.symbol, name: c.name }));
+const CURRENCY_KEY = 'lithium-tracker:currency';
+
+/**
+ * Saved display currency (USD if none or unavailable)
+ */
+export function loadCurrency() {
+    try {
+        const saved = localStorage.getItem(CURRENCY_KEY);
+        return CURRENCY_OPTIONS.some(c => c.key === saved) ? saved : 'USD';
+    } catch {
+        return 'USD';
+    }
+}
 
 /**
- * Fetch prices from API
+ * Remember the display currency
  */
-export async function fetchPricesFromAPI() {
+export function saveCurrency(currency) {
     try {
-        const response = await fetch(API_URL);
+        localStorage.setItem(CURRENCY_KEY, currency);
+    } catch (error) {
+        console.warn('Could not save currency:', error);
+    }
+}
+
+/**
+ * Format an amount with the currency symbol ('$23,567' / '¥164,500'), 'N/A' if missing
+ */
+export function formatMoney(value, currency = 'USD') {
+    if (value === null || value === undefined) return 'N/A';
+    const { symbol } = CURRENCY_OPTIONS.find(c => c.key === currency) || { symbol: `${currency} ` };
+    return `${symbol}${new Intl.NumberFormat('en-US').format(value)}`;
+}
+
+/**
+ * Fetch prices from API on the given VAT basis ('incl' or 'excl').
+ * Live data comes back with `offline: false`. If the API is unreachable, the
+ * last good response is returned with `offline: true` and `cachedAt`, or
+ * null if there is none - never bundled prices.
+ */
+export async function fetchPricesFromAPI(vat = 'incl') {
+    try {
+        const response = await fetch(`${API_URL}?vat=${vat}`);
         if (!response.ok) {
             throw new Error(`HTTP error: ${response.status}`);
         }
-        return await response.json();
+        const data = await response.json();
+        cachePrices(vat, data);
+        return { ...data, offline: false };
     } catch (error) {
         console.error('Error fetching prices:', error);
-        return getDefaultData();
+        const cached = readCachedPrices(vat);
+        return cached ? { ...cached.data, offline: true, cachedAt: cached.cachedAt } : null;
+    }
+}
+
+/**
+ * Delay before retrying a failed price load: 5s, 10s, 20s... capped at 5 minutes
+ */
+export function getRetryDelay(failures) {
+    return Math.min(RETRY_BASE_MS * 2 ** (failures - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Keep the last good API response (per VAT basis) for offline use
+ */
+function cachePrices(vat, data) {
+    try {
+        localStorage.setItem(`${PRICE_CACHE_KEY}:${vat}`, JSON.stringify({ cachedAt: new Date().toISOString(), data }));
+    } catch (error) {
+        console.warn('Could not cache prices:', error);
+    }
+}
+
+/**
+ * Last good API response for a VAT basis: { cachedAt, data }, or null
+ */
+function readCachedPrices(vat) {
+    try {
+        const cached = localStorage.getItem(`${PRICE_CACHE_KEY}:${vat}`);
+        return cached ? JSON.parse(cached) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Fetch the daily close series for a product from the history API, on a VAT basis
+ * Returns [{ date, usd, cny }], or an empty series on failure
+ */
+export async function fetchHistoryFromAPI(product, vat = 'incl') {
+    try {
+        const response = await fetch(`${HISTORY_API_URL}?product=${encodeURIComponent(product)}&vat=${vat}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error: ${response.status}`);
+        }
+        const data = await response.json();
+        return data.series || [];
+    } catch (error) {
+        console.error(`Error fetching ${product} history:`, error);
+        return [];
+    }
+}
+
+/**
+ * Fetch the futures curve as it stood on a date ({ date, spot, futures }, see api/curve.js)
+ * Returns null if there is none or the API is unreachable
+ */
+export async function fetchCurveFromAPI(date, vat = 'incl') {
+    try {
+        const response = await fetch(`${CURVE_API_URL}?date=${encodeURIComponent(date)}&vat=${vat}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error(`Error fetching curve for ${date}:`, error);
+        return null;
     }
 }
 
 /**
- * Get spot prices from data
+ * Fetch the data freshness report ({ status, reasons, scrape, ... }, see lib/freshness.js)
+ * Returns null if the health API is unreachable
+ */
+export async function fetchHealthFromAPI() {
+    try {
+        const response = await fetch(HEALTH_API_URL);
+        if (!response.ok) {
+            throw new Error(`HTTP error: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error('Error fetching data health:', error);
+        return null;
+    }
+}
+
+/**
+ * Slice a daily series to a range key ('1W', '1M', ... 'All'),
+ * counting back from the latest data point
+ */
+export function getHistoryRange(series, rangeKey) {
+    const range = HISTORY_RANGES.find(r => r.key === rangeKey);
+    if (!range || series.length === 0 || (!range.days && !range.months)) return series;
+    return filterRange(series, dateBefore(series[series.length - 1].date, range), null);
+}
+
+/**
+ * YYYY-MM-DD date a number of days or months before another
+ */
+function dateBefore(date, { days, months }) {
+    const start = new Date(`${date}T00:00:00Z`);
+    if (days) start.setUTCDate(start.getUTCDate() - days);
+    if (months) start.setUTCMonth(start.getUTCMonth() - months);
+    return start.toISOString().split('T')[0];
+}
+
+/**
+ * Settlement averages of a daily series (lib/priceAverages.js, already on the
+ * VAT basis) in the display currency: { months, quarterToDate, custom }, each
+ * with `simple`, `weighted` and their day counts as single values.
+ * Currencies other than USD and CNY convert each day at that day's rate
+ * before averaging.
+ */
+export function getPriceAverages(series, { currency, from = null, to = null, months = 6 }) {
+    const key = currency === 'CNY' ? 'cny' : 'usd';
+    // Converted values take the usd slot so lib/priceAverages.js can average them
+    const points = currency === 'USD' || currency === 'CNY'
+        ? series
+        : series.map(p => ({ date: p.date, usd: fromUSD(p.usd, p.rates?.[currency]), cny: null }));
+    const inCurrency = (average) => average && {
+        ...average,
+        pricingDays: average.pricingDays[key],
+        tradingDays: average.tradingDays[key],
+        simple: average.simple[key],
+        weighted: average.weighted[key],
+    };
+
+    return {
+        months: monthlyAverages(points, months).map(inCurrency),
+        quarterToDate: inCurrency(quarterToDate(points)),
+        custom: from && to && from <= to ? inCurrency(averagePrices(points, from, to)) : null,
+    };
+}
+
+// Periods the contract detail reports changes over
+export const CHANGE_PERIODS = [
+    { key: '1D' },
+    { key: '1W', days: 7 },
+    { key: '1M', months: 1 },
+];
+
+/**
+ * Change over each period from a daily series ([{ date, usd, cny }], oldest
+ * first): [{ key, from, changePercent }]. 1D compares with the previous point
+ * (the previous session), longer periods with the last point on or before the
+ * period start. Worked out on the CNY exchange quote; percentages are the same
+ * in any currency and on either VAT basis.
+ */
+export function getPeriodChanges(series) {
+    const values = series.filter(p => p.cny !== null && p.cny !== undefined);
+    const latest = values[values.length - 1];
+
+    return CHANGE_PERIODS.map(period => {
+        let base = null;
+        if (latest) {
+            base = period.days || period.months
+                ? values.filter(p => p.date <= dateBefore(latest.date, period)).pop()
+                : values[values.length - 2];
+        }
+        return {
+            key: period.key,
+            from: base?.date ?? null,
+            changePercent: base?.cny ? Math.round(((latest.cny - base.cny) / base.cny) * 10000) / 100 : null,
+        };
+    });
+}
+
+/**
+ * History values in the display currency. Points carry USD and CNY
+ * ({ date, usd, cny, rates }); other currencies convert the USD value at
+ * the point's own rate (/api/history), and are null on days without one.
+ */
+export function getHistoryPrices(points, currency) {
+    return points.map(p => p[currency.toLowerCase()] ?? fromUSD(p.usd, p.rates?.[currency]));
+}
+
+/**
+ * Date to fetch the comparison curve for: the previous session, a week or
+ * a month before the session date, or the picked date
+ */
+export function getComparisonDate(sessionDate, key, pickedDate = null) {
+    if (key === 'date') return pickedDate;
+    if (key === '1D') return previousTradingDay(sessionDate);
+
+    const comparison = CURVE_COMPARISONS.find(c => c.key === key);
+    return comparison ? dateBefore(sessionDate, comparison) : null;
+}
+
+/**
+ * Line an earlier curve up with the displayed contracts by contract code
+ * ('Spot' takes the earlier spot), in the display currency:
+ * { [contract]: { price, delta, deltaPercent } }. Contracts not listed on
+ * the earlier date have a null price. Currencies other than USD and CNY
+ * convert at the earlier date's rate.
+ */
+export function alignCurve(contracts, prior, currency) {
+    const byContract = new Map(prior.futures.map(f => [f.contract, f]));
+    const rate = prior.rates?.[currency]?.rate ?? null;
+    const inCurrency = (values) => {
+        if (!values) return null;
+        const value = currency === 'CNY' ? values.cny : currency === 'USD' ? values.usd : fromUSD(values.usd, rate);
+        return value === null || value === undefined ? null : Math.round(value);
+    };
+
+    return Object.fromEntries(contracts.map(c => {
+        const price = inCurrency(c.isSpot ? prior.spot : byContract.get(c.contract));
+        const delta = price !== null && c.price !== null && c.price !== undefined ? c.price - price : null;
+        return [c.contract, {
+            price,
+            delta,
+            deltaPercent: delta !== null && price ? Math.round((delta / price) * 10000) / 100 : null,
+        }];
+    }));
+}
+
+/**
+ * Format a YYYY-MM-DD date as a short chart label ('Jan 30')
+ */
+export function formatChartDate(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        timeZone: 'UTC',
+    });
+}
+
+/**
+ * Spot values in the display currency. CNY uses SMM's own CNY quote where
+ * there is one, with its change and percentage worked out on CNY (the API
+ * gives changeCNY against the same baseline as the USD change); everything
+ * else converts the USD values at the display rate (prices are null when
+ * there is no rate), keeping the USD percentage.
+ */
+function productInCurrency(product, currency, rate) {
+    if (currency === 'USD') return product;
+    const convert = (value) => fromUSD(value, rate);
+    const native = currency === 'CNY' && product.priceCNY;
+    const nativeChange = native && product.changeCNY !== null && product.changeCNY !== undefined;
+    const previousCNY = nativeChange ? product.priceCNY - product.changeCNY : null;
+    return {
+        ...product,
+        price: native ? product.priceCNY : convert(product.price),
+        change: nativeChange ? product.changeCNY : convert(product.change),
+        changePercent: previousCNY
+            ? Math.round((product.changeCNY / previousCNY) * 10000) / 100
+            : product.changePercent,
+        low: convert(product.low),
+        high: convert(product.high),
+        unit: product.unit?.replace('USD', currency),
+    };
+}
+
+/**
+ * Get spot prices from data, keyed by product id, in the display currency
+ * (responses without a products map only carry carbonate and spodumene)
+ */
+export function getSpotPrices(data, currency = 'USD') {
+    const products = data.products || { carbonate: data.carbonate, spodumene: data.spodumene };
+    const rate = getDisplayRate(data, currency)?.rate ?? null;
+    return Object.fromEntries(Object.entries(products)
+        .filter(([, product]) => product)
+        .map(([id, product]) => [id, productInCurrency(product, currency, rate)]));
+}
+
+/**
+ * Split the catalog products that have prices into tab buttons and the "More" menu
  */
-export function getSpotPrices(data) {
+export function getProductTabs(spotPrices) {
+    const available = PRODUCT_CATALOG.filter(p => spotPrices[p.id]);
     return {
-        carbonate: data.carbonate,
-        spodumene: data.spodumene,
+        featured: available.filter(p => p.featured),
+        more: available.filter(p => !p.featured),
     };
 }
 
@@ -40,20 +388,46 @@ export function getConversionRate(data) {
 }
 
 /**
- * Check if a contract has expired
+ * Which FX rate converted the futures: { pair, label, date }
+ * (label is null for responses that predate the FX source)
  */
-export function isContractExpired(contractCode) {
-    const year = 2000 + parseInt(contractCode.substring(2, 4));
-    const month = parseInt(contractCode.substring(4, 6));
+export function getFxSource(data) {
+    return {
+        pair: data.fx?.pair || 'USD/CNY',
+        label: data.fx?.label || null,
+        date: data.fx?.date || null,
+    };
+}
 
-    const now = new Date();
-    const currentYear = now.getFullYear();
-    const currentMonth = now.getMonth() + 1;
+/**
+ * Rate converting USD prices to the display currency: { rate, pair, label, date },
+ * or null when there is no recent rate for it. CNY falls back to the futures
+ * rate for responses that predate the rate table.
+ */
+export function getDisplayRate(data, currency) {
+    if (currency === 'USD') return { rate: 1, pair: null, label: null, date: null };
+    const entry = data.rates?.[currency];
+    if (entry) return entry;
+    if (currency === 'CNY' && !data.rates) return { rate: getConversionRate(data), ...getFxSource(data) };
+    return null;
+}
 
-    if (year < currentYear) return true;
-    if (year === currentYear && month < currentMonth) return true;
+/**
+ * Rate note shown next to converted prices ('USD/EUR 0.9213 · Jan 23, 2026'),
+ * null for USD
+ */
+export function formatDisplayRate(displayRate, currency) {
+    if (currency === 'USD') return null;
+    if (!displayRate) return `No recent USD/${currency} rate`;
+    const date = displayRate.date ? formatQuoteDate(displayRate.date) : displayRate.label || 'manual';
+    return `${displayRate.pair} ${displayRate.rate.toFixed(4)} · ${date}`;
+}
 
-    return false;
+/**
+ * Check if a contract has expired (past its last trading day on the exchange clock)
+ */
+export function isContractExpired(contractCode) {
+    return contractExpiredOn(contractCode, exchangeToday());
 }
 
 /**
@@ -64,25 +438,44 @@ export function getActiveContracts(futures) {
 }
 
 /**
- * Get futures contracts for display (already in USD from API)
+ * Get futures contracts for display in the display currency
+ * (the API returns both USD and CNY for every contract)
  */
-export function getFuturesContractsUSD(data) {
+export function getFuturesContracts(data, currency = 'USD') {
     const activeContracts = getActiveContracts(data.futures || []);
+    const spot = getSpotPrices(data, currency).carbonate;
+    const cny = currency === 'CNY';
+    const rate = getDisplayRate(data, currency)?.rate ?? null;
+    // GFEX quotes in CNY; other currencies convert the USD values
+    const inCurrency = (usd, cnyValue) => (cny ? cnyValue : fromUSD(usd, rate)) ?? null;
 
     return [
         {
             contract: 'Spot',
             month: 'Today',
-            price: data.carbonate.price,
-            change: data.carbonate.changePercent,
+            price: spot.price,
+            change: spot.changePercent,
+            low: spot.low ?? null,
+            high: spot.high ?? null,
+            date: spot.date ?? null,
+            source: spot.source ?? null,
+            runId: spot.runId ?? null,
             type: 'SMM PHYSICAL SPOT',
             isSpot: true
         },
         ...activeContracts.map(f => ({
             contract: f.contract,
-            month: f.month,
-            price: f.price,  // Already USD from API
+            month: contractLabel(f.contract),
+            price: inCurrency(f.price, f.priceCNY),
             change: f.change,
+            open: inCurrency(f.open, f.openCNY),
+            high: inCurrency(f.high, f.highCNY),
+            low: inCurrency(f.low, f.lowCNY),
+            date: f.date ?? null,
+            lastTradingDay: f.lastTradingDay ?? null,
+            daysToExpiry: f.daysToExpiry ?? null,
+            source: f.source ?? null,
+            runId: f.runId ?? null,
             type: 'GFEX DERIVATIVE',
             isSpot: false,
         }))
@@ -90,11 +483,71 @@ export function getFuturesContractsUSD(data) {
 }
 
 /**
- * Get chart data
+ * Curve analytics (lib/curveAnalytics.js) for the active contracts, with
+ * chosen [near, far] pairs. Worked out here rather than read from the
+ * response so cached responses get them too.
  */
-export function getChartData(data) {
-    const contracts = getFuturesContractsUSD(data);
+export function getCurveAnalytics(data, pairs = []) {
+    const carbonate = getSpotPrices(data).carbonate;
+    const spot = carbonate && { ...carbonate, date: carbonate.date ?? data.session?.date ?? exchangeToday() };
+    return analyzeCurve(spot, getActiveContracts(data.futures || []), pairs, getConversionRate(data));
+}
+
+/**
+ * A spread's value in the display currency (CNY is the exchange's own figure)
+ */
+export function spreadInCurrency(spread, currency, rate) {
+    if (!spread || spread.missing) return null;
+    if (currency === 'CNY') return spread.spreadCNY;
+    return fromUSD(spread.spread, rate);
+}
+
+/**
+ * Spreads of a contract to spot and to its neighbours on the displayed curve
+ * (getFuturesContracts()), in the display currency as this contract minus
+ * the other: [{ label, contract, spread, percent }]
+ */
+export function getContractSpreads(contracts, code) {
+    const index = contracts.findIndex(c => c.contract === code);
+    if (index < 0) return [];
+
+    const current = contracts[index];
+    const previous = contracts[index - 1];
+    const next = contracts[index + 1];
+    const others = [
+        { label: 'Spot', other: contracts.find(c => c.isSpot) },
+        { label: 'Previous', other: previous && !previous.isSpot ? previous : null },
+        { label: 'Next', other: next },
+    ].filter(({ other }) => other);
+
+    return others.map(({ label, other }) => {
+        const hasPrices = current.price !== null && other.price !== null;
+        const spread = hasPrices ? current.price - other.price : null;
+        return {
+            label,
+            contract: other.contract,
+            spread,
+            percent: spread !== null && other.price ? Math.round((spread / other.price) * 10000) / 100 : null,
+        };
+    });
+}
+
+/**
+ * Forward price for a delivery date on the displayed curve (getFuturesContracts(),
+ * spot dated `sessionDate`): { date, price, method, extrapolated, from, to },
+ * or null before the session date
+ */
+export function getForwardPrice(contracts, sessionDate, date, method = 'linear') {
+    return interpolateCurve(curveNodes(contracts, sessionDate), date, method);
+}
+
+/**
+ * Get chart data in the display currency
+ */
+export function getChartData(data, currency = 'USD') {
+    const contracts = getFuturesContracts(data, currency);
     return contracts.map(c => ({
+        contract: c.contract,
         label: c.month,
         price: c.price,
         isSpot: c.isSpot,
@@ -117,49 +570,14 @@ export function formatLastUpdated(isoString) {
 }
 
 /**
- * Default data fallback
+ * Format a YYYY-MM-DD quote date as 'Jan 23, 2026'
  */
-function getDefaultData() {
-    const conversionRate = 6.9812;
-    return {
-        carbonate: {
-            id: 'carbonate',
-            name: 'LITHIUM CARBONATE',
-            grade: '99.5%',
-            price: 22703.83,
-            priceCNY: 158500,
-            change: null, // Fallback usually doesn't have prev day unless calc'd
-            changeCNY: 6000,
-            changePercent: 3.93,
-            unit: 'USD/T',
-        },
-        spodumene: {
-            id: 'spodumene',
-            name: 'SPODUMENE CONCENTRATE',
-            grade: '6.0%',
-            price: 2035,
-            change: null,
-            changePercent: null,
-            unit: 'USD/T',
-            spotOnly: true,
-        },
-        futures: [
-            { contract: 'LC2602', month: 'Feb-26', priceCNY: 165080, price: Math.round(165080 / conversionRate), change: null },
-            { contract: 'LC2603', month: 'Mar-26', priceCNY: 165600, price: Math.round(165600 / conversionRate), change: null },
-            { contract: 'LC2604', month: 'Apr-26', priceCNY: 166400, price: Math.round(166400 / conversionRate), change: null },
-            { contract: 'LC2605', month: 'May-26', priceCNY: 166740, price: Math.round(166740 / conversionRate), change: null },
-            { contract: 'LC2606', month: 'Jun-26', priceCNY: 167200, price: Math.round(167200 / conversionRate), change: null },
-            { contract: 'LC2607', month: 'Jul-26', priceCNY: 167360, price: Math.round(167360 / conversionRate), change: null },
-            { contract: 'LC2608', month: 'Aug-26', priceCNY: 167940, price: Math.round(167940 / conversionRate), change: null },
-            { contract: 'LC2609', month: 'Sep-26', priceCNY: 168320, price: Math.round(168320 / conversionRate), change: null },
-            { contract: 'LC2610', month: 'Oct-26', priceCNY: 169280, price: Math.round(169280 / conversionRate), change: null },
-            { contract: 'LC2611', month: 'Nov-26', priceCNY: 169980, price: Math.round(169980 / conversionRate), change: null },
-            { contract: 'LC2612', month: 'Dec-26', priceCNY: 169980, price: Math.round(169980 / conversionRate), change: null },
-            { contract: 'LC2701', month: 'Jan-27', priceCNY: 170000, price: Math.round(170000 / conversionRate), change: null },
-        ],
-        conversionRate: conversionRate,
-        lastUpdated: new Date().toISOString(),
-    };
+export function formatQuoteDate(date) {
+    if (!date) return 'Unknown';
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        timeZone: 'UTC',
+    });
 }
-
-export const defaultData = getDefaultData();
@@ -0,0 +1,47 @@
+/**
+ * Average price API tests: custom windows must be real calendar dates,
+ * rejected with a 400 before any averaging. Reads a temp data directory.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.PRICE_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'averages-'));
+const { default: handler } = await import('../api/averages.js');
+const { isCalendarDate } = await import('../lib/tradingCalendar.js');
+
+function request(query) {
+    const res = {
+        setHeader() {},
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        },
+    };
+    handler({ method: 'GET', query }, res);
+    return res;
+}
+
+test('only real calendar dates are dates', () => {
+    assert.equal(isCalendarDate('2028-02-29'), true);
+    assert.equal(isCalendarDate('2025-13-01'), false);
+    assert.equal(isCalendarDate('2027-02-30'), false);
+    assert.equal(isCalendarDate('2026-1-05'), false);
+});
+
+test('an impossible month or day is a 400, not a crash', () => {
+    const month = request({ product: 'carbonate', from: '2025-13-01', to: '2026-02-01' });
+    const day = request({ product: 'carbonate', from: '2026-01-01', to: '2026-02-30' });
+
+    assert.equal(month.statusCode, 400);
+    assert.match(month.body.error, /Invalid from date/);
+    assert.equal(day.statusCode, 400);
+    assert.match(day.body.error, /Invalid to date/);
+});
@@ -0,0 +1,67 @@
+/**
+ * Contract and calendar tests: labels and expiry come from the code and the
+ * GFEX trading calendar, and scrapes add new listings while expired
+ * contracts drop off the strip.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    contractLabel,
+    isContractExpired,
+    mergeContracts,
+    parseContract,
+    tradingDaysToExpiry,
+} from '../lib/contracts.js';
+import { isTradingDay, nthTradingDay, previousTradingDay } from '../lib/tradingCalendar.js';
+
+test('contract codes parse into delivery month and label', () => {
+    assert.deepEqual(parseContract('LC2607'), {
+        contract: 'LC2607',
+        year: 2026,
+        month: 7,
+        deliveryMonth: '2026-07',
+        label: 'Jul-26',
+        lastTradingDay: '2026-07-07',
+    });
+    assert.equal(contractLabel('LC2701'), 'Jan-27');
+    assert.equal(parseContract('LC2613'), null);
+    assert.equal(parseContract('SI2607'), null);
+});
+
+test('a contract expires after the 5th trading day of its delivery month', () => {
+    assert.equal(isContractExpired('LC2607', '2026-07-07'), false);
+    assert.equal(isContractExpired('LC2607', '2026-07-08'), true);
+    // National Day closes Oct 1-7, so LC2610 trades until Oct 14
+    assert.equal(parseContract('LC2610').lastTradingDay, '2026-10-14');
+    assert.equal(tradingDaysToExpiry('LC2610', '2026-09-30'), 5);
+    assert.equal(tradingDaysToExpiry('LC2610', '2026-10-14'), 0);
+    assert.equal(tradingDaysToExpiry('LC2610', '2026-10-15'), null);
+});
+
+test('calendar: weekends and exchange holidays are not sessions', () => {
+    assert.equal(isTradingDay('2026-02-13'), true);
+    assert.equal(isTradingDay('2026-02-14'), false);
+    assert.equal(isTradingDay('2026-02-16'), false);
+    assert.equal(previousTradingDay('2026-02-24'), '2026-02-13');
+    assert.equal(nthTradingDay('2026-05', 1), '2026-05-06');
+});
+
+test('merge: new listings are added, expired contracts removed, strip sorted', () => {
+    const current = [
+        { contract: 'LC2607', priceCNY: 169780 },
+        { contract: 'LC2608', priceCNY: 170360 },
+    ];
+    const scraped = [
+        { contract: 'LC2708', priceCNY: 171000 },
+        { contract: 'LC2608', priceCNY: 170500 },
+    ];
+    const { futures, added, expired } = mergeContracts(current, scraped, '2026-07-08');
+
+    assert.deepEqual(futures, [
+        { contract: 'LC2608', priceCNY: 170500 },
+        { contract: 'LC2708', priceCNY: 171000 },
+    ]);
+    assert.deepEqual(added, ['LC2708']);
+    assert.deepEqual(expired, ['LC2607']);
+});
@@ -0,0 +1,41 @@
+/**
+ * Futures curve API tests: delivery and curve dates must be real calendar
+ * dates, rejected with a 400 before the curve is read. Reads a temp data
+ * directory.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.PRICE_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'curve-'));
+const { default: handler } = await import('../api/curve.js');
+
+function request(query) {
+    const res = {
+        setHeader() {},
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        },
+    };
+    handler({ method: 'GET', query }, res);
+    return res;
+}
+
+test('an impossible delivery date is a 400, not an extrapolated price', () => {
+    const res = request({ delivery: '2027-03-15,2027-02-30' });
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /Invalid delivery/);
+});
+
+test('an impossible curve date is a 400', () => {
+    assert.equal(request({ date: '2025-13-01' }).statusCode, 400);
+});
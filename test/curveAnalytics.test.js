@@ -0,0 +1,55 @@
+/**
+ * Curve analytics tests: spreads run far minus near, carry is annualized
+ * over calendar days, and the curve shape is classified from its spreads.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeCurve, classifyCurve, parseSpreadPair } from '../lib/curveAnalytics.js';
+
+const SPOT = { price: 23600, priceCNY: 164500, date: '2026-10-19' };
+const FUTURES = [
+    { contract: 'LC2612', price: 24000, priceCNY: 168000, lastTradingDay: '2026-12-08' },
+    { contract: 'LC2611', price: 23800, priceCNY: 166000, lastTradingDay: '2026-11-06' },
+    { contract: 'LC2701', price: 24100, priceCNY: 168600, lastTradingDay: '2027-01-08' },
+];
+
+test('basis, consecutive spreads and carry on a contango curve', () => {
+    const curve = analyzeCurve(SPOT, FUTURES);
+
+    assert.equal(curve.structure, 'contango');
+    assert.deepEqual(curve.basis, {
+        from: 'Spot', to: 'LC2611', spreadCNY: 1500, spread: 200, percent: 0.91, days: 18, annualizedCarry: 18.49,
+    });
+    assert.deepEqual(curve.spreads.map(s => [s.from, s.to, s.spreadCNY]), [['LC2611', 'LC2612', 2000], ['LC2612', 'LC2701', 600]]);
+    assert.equal(curve.frontToBack.spreadCNY, 2600);
+});
+
+test('chosen pairs are looked up by contract, missing ones are flagged', () => {
+    const curve = analyzeCurve(SPOT, FUTURES, [['LC2611', 'LC2701'], ['LC2611', 'LC2705']]);
+
+    assert.equal(curve.pairs[0].spreadCNY, 2600);
+    assert.deepEqual(curve.pairs[1], { from: 'LC2611', to: 'LC2705', missing: true });
+});
+
+test('curve shape follows the signs of its spreads', () => {
+    const spread = (spreadCNY) => ({ spreadCNY });
+
+    assert.equal(classifyCurve([spread(-300), spread(-10)]), 'backwardation');
+    assert.equal(classifyCurve([spread(300), spread(-10)]), 'mixed');
+    assert.equal(classifyCurve([spread(0)]), 'flat');
+    assert.equal(classifyCurve([]), null);
+});
+
+test('spread pairs must run near to far', () => {
+    assert.deepEqual(parseSpreadPair('lc2603-LC2609'), ['LC2603', 'LC2609']);
+    assert.equal(parseSpreadPair('LC2609-LC2603'), null);
+    assert.equal(parseSpreadPair('LC2603'), null);
+});
+
+test('spot without a CNY quote is converted at the FX rate for the basis', () => {
+    const curve = analyzeCurve({ price: 23600, date: '2026-10-19' }, FUTURES, [], 7);
+
+    assert.equal(curve.basis.spreadCNY, 166000 - 165200);
+    assert.equal(analyzeCurve({ price: 23600, date: '2026-10-19' }, FUTURES).basis, null);
+});
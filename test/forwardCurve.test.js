@@ -0,0 +1,50 @@
+/**
+ * Forward curve tests: nodes are dated by last trading day, prices between
+ * them interpolate without overshooting, and the far end is extrapolated.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { curveNodes, interpolateCurve } from '../lib/forwardCurve.js';
+
+const CONTRACTS = [
+    { contract: 'Spot', isSpot: true, price: 23000 },
+    { contract: 'LC2611', price: 24000, lastTradingDay: '2026-11-06' },
+    { contract: 'LC2612', price: 24000, lastTradingDay: '2026-12-07' },
+    { contract: 'LC2701', price: 25240, lastTradingDay: '2027-01-08' },
+];
+const NODES = curveNodes(CONTRACTS, '2026-10-19');
+
+test('spot is dated on the session, contracts on their last trading day', () => {
+    assert.deepEqual(NODES.map(n => [n.contract, n.date]), [
+        ['Spot', '2026-10-19'],
+        ['LC2611', '2026-11-06'],
+        ['LC2612', '2026-12-07'],
+        ['LC2701', '2027-01-08'],
+    ]);
+});
+
+test('linear interpolation runs between the neighbouring contracts', () => {
+    const forward = interpolateCurve(NODES, '2026-12-23', 'linear');
+
+    assert.equal(forward.price, 24620);
+    assert.equal(forward.from, 'LC2612');
+    assert.equal(forward.to, 'LC2701');
+    assert.equal(forward.extrapolated, false);
+});
+
+test('the monotone spline stays flat where the curve is flat', () => {
+    const forward = interpolateCurve(NODES, '2026-11-20', 'monotone');
+    assert.equal(forward.price, 24000);
+
+    const rising = interpolateCurve(NODES, '2026-10-28', 'monotone');
+    assert.ok(rising.price > 23000 && rising.price < 24000);
+});
+
+test('dates past the last contract are extrapolated, dates before spot have no price', () => {
+    const forward = interpolateCurve(NODES, '2027-06-30');
+
+    assert.equal(forward.price, 25240);
+    assert.equal(forward.extrapolated, true);
+    assert.equal(interpolateCurve(NODES, '2026-10-01'), null);
+});
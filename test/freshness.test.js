@@ -0,0 +1,53 @@
+/**
+ * Freshness tests: quote age is counted in trading sessions, and the
+ * status turns stale or degraded for the right reasons.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assessFreshness } from '../lib/freshness.js';
+
+const NOW = new Date('2026-10-19T02:00:00Z');
+const SESSION = { date: '2026-10-19', closed: false };
+
+function snapshot(date, scrapedAt = '2026-10-19T01:30:00Z') {
+    return {
+        date,
+        scrapedAt,
+        products: { carbonate: { price: 23566.66, date }, spodumene: { price: 2130, date } },
+        futures: [{ contract: 'LC2611', priceCNY: 169780, date }],
+    };
+}
+
+const assess = (snap, runs) => assessFreshness(snap, { session: SESSION, runs, now: NOW, staleAfterSessions: 1 });
+
+test('the previous session over a weekend is still fresh', () => {
+    const report = assess(snapshot('2026-10-16'));
+
+    assert.equal(report.status, 'ok');
+    assert.deepEqual(report.products.carbonate, { date: '2026-10-16', sessionsBehind: 1, stale: false });
+    assert.equal(report.scrape.ageHours, 0.5);
+});
+
+test('quotes more than the threshold behind are stale', () => {
+    const report = assess(snapshot('2026-10-15'));
+
+    assert.equal(report.status, 'stale');
+    assert.equal(report.futures[0].sessionsBehind, 2);
+    assert.deepEqual(report.reasons, [
+        'Prices are for 2026-10-15, 2 sessions behind',
+        'Carbonate quote is from 2026-10-15',
+        'Spodumene quote is from 2026-10-15',
+    ]);
+});
+
+test('a failed latest run or a never-scraped snapshot is degraded', () => {
+    const runs = {
+        lastSuccess: { id: 'a', finishedAt: '2026-10-19T01:00:00Z', outcome: 'published', error: null },
+        lastFailure: { id: 'b', finishedAt: '2026-10-19T01:30:00Z', outcome: 'failed', error: 'net::ERR_TIMED_OUT' },
+    };
+
+    assert.equal(assess(snapshot('2026-10-19'), runs).status, 'degraded');
+    assert.deepEqual(assess(snapshot('2026-10-19'), runs).reasons, ['Latest update failed: net::ERR_TIMED_OUT']);
+    assert.equal(assess(snapshot('2026-10-19', null)).status, 'degraded');
+});
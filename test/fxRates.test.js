@@ -0,0 +1,62 @@
+/**
+ * FX rate table tests: every display currency resolves to its own latest
+ * pair within the age limit, and import rows are checked before recording.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFxCsv, resolveFxRate, resolveRateTable, resolveRates } from '../lib/fxRates.js';
+
+const RECORDS = [
+    { date: '2026-10-09', pair: 'USD/ARS', rate: 1450, source: 'import' },
+    { date: '2026-10-15', pair: 'USD/CNH', rate: 7.128, source: 'smm' },
+    { date: '2026-10-15', pair: 'USD/EUR', rate: 0.9213, source: 'manual' },
+    { date: '2026-10-16', pair: 'USD/EUR', rate: 0.9198, source: 'import' },
+];
+
+test('each currency uses its latest pair on or before the price date', () => {
+    const rates = resolveRateTable('2026-10-16', RECORDS);
+
+    assert.equal(rates.USD.rate, 1);
+    assert.deepEqual(rates.CNY, { rate: 7.128, pair: 'USD/CNH', source: 'smm', label: 'SMM Offshore RMB HK', date: '2026-10-15' });
+    assert.equal(rates.EUR.rate, 0.9198);
+    assert.equal(rates.EUR.date, '2026-10-16');
+    assert.equal(rates.ARS.rate, 1450);
+});
+
+test('currencies without a recent rate have none, CNY falls back to the manual rate', () => {
+    const rates = resolveRateTable('2026-10-30', RECORDS);
+
+    assert.equal(rates.EUR, null);
+    assert.equal(rates.ARS, null);
+    assert.equal(rates.CNY.source, 'manual');
+    assert.equal(resolveFxRate('2026-10-16', RECORDS).pair, 'USD/CNH');
+});
+
+test('past dates get their own rates, without currencies that had none', () => {
+    assert.deepEqual(resolveRates('2026-10-15', RECORDS), { CNY: 7.128, EUR: 0.9213, ARS: 1450 });
+    assert.deepEqual(resolveRates('2026-10-17', RECORDS), { CNY: 7.128, EUR: 0.9198 });
+});
+
+test('a preferred pair wins over a newer fallback pair while it is recent', () => {
+    const records = [
+        { date: '2026-10-13', pair: 'USD/CNY', rate: 7.11, source: 'manual' },
+        ...RECORDS,
+    ];
+
+    assert.equal(resolveFxRate('2026-10-16', records).pair, 'USD/CNY');
+    assert.equal(resolveFxRate('2026-10-21', records).pair, 'USD/CNH');
+});
+
+test('import rows with bad dates, pairs or rates are reported and skipped', () => {
+    const { records, issues } = parseFxCsv([
+        'date,pair,rate',
+        '2026-10-16,usd/eur,0.9198',
+        '16/10/2026,USD/EUR,0.92',
+        '2026-10-16,USD/GBP,0.79',
+        '2026-10-16,USD/ARS,',
+    ].join('\n'));
+
+    assert.deepEqual(records, [{ date: '2026-10-16', pair: 'USD/EUR', rate: 0.9198, source: 'import' }]);
+    assert.deepEqual(issues.map(i => i.field), ['row 2', 'row 3', 'row 4']);
+});
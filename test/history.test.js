@@ -0,0 +1,43 @@
+/**
+ * History API tests: the unit follows the product (kg for the CIF and
+ * sulfide prices, mt for everything else and GFEX contracts). Reads a temp
+ * data directory seeded with the current snapshot.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-api-'));
+fs.mkdirSync(path.join(dataDir, 'snapshots'));
+fs.copyFileSync(new URL('../data/snapshots/current.json', import.meta.url), path.join(dataDir, 'snapshots', 'current.json'));
+process.env.PRICE_DATA_DIR = dataDir;
+const { default: handler } = await import('../api/history.js');
+
+function request(query) {
+    const res = {
+        setHeader() {},
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        },
+    };
+    handler({ method: 'GET', query }, res);
+    return res;
+}
+
+test('the unit is the product\'s own, mt for contracts', () => {
+    const carbonate = request({ product: 'carbonate' });
+
+    assert.equal(carbonate.statusCode, 200);
+    assert.equal(carbonate.body.unit, 'per mt');
+    assert.equal(request({ product: 'carbonateCIF' }).body.unit, 'per kg');
+    assert.equal(request({ product: 'lithiumSulfide' }).body.unit, 'per kg');
+    assert.equal(request({ product: 'LC2611' }).body.unit, 'per mt');
+});
@@ -0,0 +1,53 @@
+/**
+ * Curve-on-date tests: the latest record on or before the date is used,
+ * with futures converted at that day's rate. Series on a VAT basis.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCurveOnDate, seriesOnBasis } from '../lib/historySeries.js';
+
+const RECORDS = [
+    {
+        date: '2026-10-09',
+        conversionRate: 7.1,
+        products: { carbonate: { price: 23000, priceCNY: 163300 } },
+        futures: [{ contract: 'LC2611', priceCNY: 165000 }],
+    },
+    {
+        date: '2026-10-12',
+        conversionRate: 7.0,
+        products: { carbonate: { price: 23500 } },
+        futures: [{ contract: 'LC2611', priceCNY: 168000 }, { contract: 'LC2612', priceCNY: 169400 }],
+    },
+];
+
+test('a weekend date gets the session before it', () => {
+    const curve = getCurveOnDate(RECORDS, '2026-10-11');
+
+    assert.equal(curve.date, '2026-10-09');
+    assert.deepEqual(curve.spot, { usd: 23000, cny: 163300 });
+    assert.deepEqual(curve.futures, [{ contract: 'LC2611', usd: 23239.44, cny: 165000 }]);
+});
+
+test('spot CNY falls back to the recorded rate, dates before the history have no curve', () => {
+    const curve = getCurveOnDate(RECORDS, '2026-10-19');
+
+    assert.deepEqual(curve.spot, { usd: 23500, cny: 164500 });
+    assert.equal(curve.futures[1].usd, 24200);
+    assert.equal(getCurveOnDate(RECORDS, '2026-10-01'), null);
+});
+
+test('series ex VAT strip 13% except for VAT-exempt products', () => {
+    const points = [{ date: '2026-10-12', usd: 1130, cny: 8000 }];
+
+    assert.deepEqual(seriesOnBasis(points, 'LC2611', 'excl'), [{ date: '2026-10-12', usd: 1000, cny: 7079.65 }]);
+    assert.deepEqual(seriesOnBasis(points, 'spodumene', 'excl'), points);
+    assert.deepEqual(seriesOnBasis(points, 'carbonate', 'incl'), points);
+});
+
+test('a record without a rate has no USD futures, whatever carbonate implies', () => {
+    const curve = getCurveOnDate([{ ...RECORDS[0], conversionRate: undefined }], '2026-10-09');
+
+    assert.deepEqual(curve.futures, [{ contract: 'LC2611', usd: null, cny: 165000 }]);
+});
@@ -0,0 +1,26 @@
+/**
+ * Market schedule tests: which session a run belongs to on the Shanghai
+ * clock, whatever the host timezone, and when it becomes the official close.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { currentSession, marketClock } from '../lib/marketSchedule.js';
+
+const SCHEDULE = { timezone: 'Asia/Shanghai', rollTime: '09:00', closeTime: '15:30' };
+const at = (iso) => currentSession(new Date(iso), SCHEDULE);
+
+test('market clock reads Shanghai time', () => {
+    assert.deepEqual(marketClock(new Date('2026-10-15T16:30:00Z')), { date: '2026-10-16', time: '00:30' });
+});
+
+test('session rolls at the roll time and closes at the close time', () => {
+    assert.deepEqual(at('2026-10-16T00:30:00Z'), { date: '2026-10-15', closed: true });
+    assert.deepEqual(at('2026-10-16T01:00:00Z'), { date: '2026-10-16', closed: false });
+    assert.deepEqual(at('2026-10-16T07:30:00Z'), { date: '2026-10-16', closed: true });
+});
+
+test('weekends and holidays stay on the last closed session', () => {
+    assert.deepEqual(at('2026-10-17T03:00:00Z'), { date: '2026-10-16', closed: true });
+    assert.deepEqual(at('2026-10-05T03:00:00Z'), { date: '2026-09-30', closed: true });
+});
@@ -0,0 +1,63 @@
+/**
+ * Average price tests: simple averages count published assessments,
+ * weighted averages count trading days, both skip non-trading days and
+ * missing prices per currency, and windows stop at the latest price.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { averagePrices, monthlyAverages, quarterToDate } from '../lib/priceAverages.js';
+
+// Mon 2026-09-28 to Fri 2026-10-09; 2026-10-01..07 is the National Day closure
+const SERIES = [
+    { date: '2026-09-28', usd: 20000, cny: 142000 },
+    { date: '2026-09-29', usd: 20200, cny: 143400 },
+    { date: '2026-09-30', usd: 20400, cny: 144800 },
+    { date: '2026-10-08', usd: 21000, cny: 149100 },
+    { date: '2026-10-12', usd: 21600, cny: 153400 },
+];
+
+test('a print that stands over a missed session counts twice in the weighted average', () => {
+    const average = averagePrices(SERIES, '2026-10-08', '2026-10-12');
+
+    assert.deepEqual(average.pricingDays, { usd: 2, cny: 2 });
+    assert.deepEqual(average.tradingDays, { usd: 3, cny: 3 });
+    assert.deepEqual(average.simple, { usd: 21300, cny: 151250 });
+    assert.deepEqual(average.weighted, { usd: 21200, cny: 150533.33 });
+});
+
+test('windows end at the latest price', () => {
+    const average = averagePrices(SERIES, '2026-10-01', '2026-10-31');
+
+    assert.equal(average.to, '2026-10-12');
+    assert.equal(average.tradingDays.usd, 3);
+});
+
+test('calendar months run newest first and flag the unfinished month', () => {
+    const months = monthlyAverages(SERIES, 2);
+
+    assert.deepEqual(months.map(m => [m.period, m.partial, m.pricingDays.usd]), [['2026-10', true, 2], ['2026-09', false, 3]]);
+    assert.equal(months[1].simple.usd, 20200);
+});
+
+test('quarter to date starts on the first day of the quarter', () => {
+    const qtd = quarterToDate(SERIES);
+
+    assert.equal(qtd.period, 'Q4 2026');
+    assert.equal(qtd.from, '2026-10-01');
+    assert.equal(qtd.pricingDays.usd, 2);
+});
+
+test('holiday assessments and missing CNY prices are left out, with counts per currency', () => {
+    const series = [
+        ...SERIES.slice(0, 3),
+        { date: '2026-10-05', usd: 30000, cny: 213000 },
+        { date: '2026-10-08', usd: 21000, cny: null },
+        SERIES[4],
+    ];
+    const average = averagePrices(series, '2026-10-01', '2026-10-12');
+
+    assert.deepEqual(average.pricingDays, { usd: 2, cny: 1 });
+    assert.deepEqual(average.simple, { usd: 21300, cny: 153400 });
+    assert.deepEqual(average.weighted, { usd: 21200, cny: 147666.67 });
+});
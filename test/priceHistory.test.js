@@ -0,0 +1,106 @@
+/**
+ * Daily history tests: the last record appended for a day wins, corrections
+ * are appended rather than edited in place, compaction keeps one valid
+ * record per day, archived values keep the run that scraped them, and
+ * records without a rate get the FX history's. Writes to a temp data directory.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.PRICE_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+const { SCHEMA_VERSION } = await import('../lib/snapshotSchema.js');
+const { appendFxRate } = await import('../lib/fxRates.js');
+const { getCurveOnDate } = await import('../lib/historySeries.js');
+const {
+    HISTORY_PATH,
+    appendHistoryRecord,
+    compactHistory,
+    correctHistoryRecord,
+    readHistory,
+    readHistoryWithCurrent,
+    recordFromSnapshot,
+} = await import('../lib/priceHistory.js');
+
+function record(date, carbonate) {
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        date,
+        recordedAt: null,
+        products: { carbonate: { price: carbonate }, spodumene: { price: 1100 } },
+        futures: [{ contract: 'LC2611', priceCNY: 165000 }],
+    };
+}
+
+function lineCount() {
+    return fs.readFileSync(HISTORY_PATH, 'utf8').trim().split('\n').length;
+}
+
+test('the last record appended for a day wins, oldest day first', () => {
+    appendHistoryRecord(record('2026-10-13', 23100));
+    appendHistoryRecord(record('2026-10-12', 23000));
+    appendHistoryRecord(record('2026-10-13', 23150));
+
+    assert.deepEqual(readHistory().map(r => [r.date, r.products.carbonate.price]), [
+        ['2026-10-12', 23000],
+        ['2026-10-13', 23150],
+    ]);
+    assert.throws(() => appendHistoryRecord({ ...record('2026-10-14', 23200), date: '14/10/2026' }), /Invalid historyRecord/);
+    assert.equal(lineCount(), 3);
+});
+
+test('a correction is appended with only the patched values changed', () => {
+    const corrected = correctHistoryRecord('2026-10-12', {
+        products: { carbonate: { price: 22950 } },
+        futures: { LC2611: 164800 },
+    });
+
+    assert.equal(lineCount(), 4);
+    assert.ok(corrected.correctedAt);
+    const day = readHistory().find(r => r.date === '2026-10-12');
+    assert.equal(day.products.carbonate.price, 22950);
+    assert.deepEqual(day.futures, [{ contract: 'LC2611', priceCNY: 164800 }]);
+    assert.throws(() => correctHistoryRecord('2026-10-09', { products: {} }), /No history record for 2026-10-09/);
+});
+
+test('compaction keeps the effective record per day and drops invalid lines', () => {
+    fs.appendFileSync(HISTORY_PATH, '{"date":\n');
+    const before = readHistory();
+
+    assert.deepEqual(compactHistory(), { before: 4, after: 2 });
+    assert.equal(lineCount(), 2);
+    assert.deepEqual(readHistory(), before);
+});
+
+test('a record archived without a rate is converted at the rate recorded for its date', () => {
+    appendFxRate({ date: '2026-10-09', pair: 'USD/CNH', rate: 7.1, source: 'smm' });
+    const records = readHistoryWithCurrent({ ...record('2026-10-19', 23300), futures: [] });
+    const curve = getCurveOnDate(records, '2026-10-12');
+
+    assert.equal(readHistory()[0].conversionRate, undefined);
+    assert.equal(records[0].conversionRate, 7.1);
+    assert.deepEqual(curve.futures, [{ contract: 'LC2611', usd: 23211.27, cny: 164800 }]);
+});
+
+test('archived values keep the source and run that scraped them', () => {
+    const runId = '2026-10-20T07-30-00-000Z';
+    const archived = recordFromSnapshot({
+        ...record('2026-10-20', 23400),
+        runId,
+        products: {
+            carbonate: { price: 23400, priceCNY: 166100, changeUSD: 100, source: 'smm-puppeteer', runId },
+            spodumene: { price: 1100, source: 'manual-csv', runId },
+        },
+        futures: [{ contract: 'LC2611', priceCNY: 167000, priceCNYExVat: 147787.61, source: 'gfex-settlement', runId }],
+    });
+    appendHistoryRecord(archived);
+    const day = readHistory().find(r => r.date === '2026-10-20');
+
+    assert.equal(day.runId, runId);
+    assert.deepEqual(day.products.carbonate, { price: 23400, priceCNY: 166100, source: 'smm-puppeteer', runId });
+    assert.deepEqual(day.products.spodumene, { price: 1100, source: 'manual-csv', runId });
+    assert.deepEqual(day.futures, [{ contract: 'LC2611', priceCNY: 167000, source: 'gfex-settlement', runId }]);
+});
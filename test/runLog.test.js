@@ -0,0 +1,41 @@
+/**
+ * Run log tests: runs are appended per month and found by id, and raw
+ * pages are kept once per content hash. Writes to a temp data directory.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.PRICE_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'runlog-'));
+const { RUNS_DIR, appendRun, createRunId, latestRuns, listRuns, readPage, readRun, storePage } = await import('../lib/runLog.js');
+
+test('runs are logged and found by id', () => {
+    const id = createRunId('2026-01-23T03:30:00.000Z');
+    appendRun({ id, outcome: 'published', problems: [] });
+    appendRun({ id: createRunId('2026-02-02T01:00:00.000Z'), outcome: 'empty', problems: [] });
+
+    assert.equal(id, '2026-01-23T03-30-00-000Z');
+    assert.equal(readRun(id).outcome, 'published');
+    assert.equal(readRun('2026-01-24T00-00-00-000Z'), null);
+    assert.deepEqual(listRuns().map(r => r.outcome), ['published', 'empty']);
+    assert.throws(() => readRun('../current'), /Invalid run id/);
+});
+
+test('raw pages are stored by content hash', () => {
+    const hash = storePage('LC2607 (CNY/mt)\n169,780');
+
+    assert.equal(storePage('LC2607 (CNY/mt)\n169,780'), hash);
+    assert.match(hash, /^[a-f0-9]{64}$/);
+    assert.equal(readPage(hash), 'LC2607 (CNY/mt)\n169,780');
+});
+
+test('a line cut short mid-append is skipped', () => {
+    fs.appendFileSync(path.join(RUNS_DIR, '2026-02.jsonl'), '{"id":"2026-02-03T01-00');
+
+    assert.deepEqual(listRuns().map(r => r.outcome), ['published', 'empty']);
+    assert.equal(latestRuns().lastFailure.outcome, 'empty');
+    assert.equal(latestRuns().lastSuccess.id, '2026-01-23T03-30-00-000Z');
+});
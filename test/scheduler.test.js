@@ -0,0 +1,60 @@
+/**
+ * Scheduler tests: backoff between retries, the run lock and the
+ * persisted run state. Uses a temp directory and no real waiting.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { acquireLock, readSchedulerState, recordRun, releaseLock, runWithRetry } from '../lib/scheduler.js';
+
+const tmp = () => fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+
+test('retries with doubling delays until the run succeeds', async () => {
+    const waits = [];
+    const outcomes = [{ status: 'empty' }, null, { status: 'published' }];
+    const { result, error, attempts } = await runWithRetry((n) => {
+        if (outcomes[n - 1] === null) throw new Error('net::ERR_TIMED_OUT');
+        return outcomes[n - 1];
+    }, { retries: 3, delayMs: 100, shouldRetry: (r) => r.status === 'empty', wait: async (ms) => waits.push(ms) });
+
+    assert.deepEqual(waits, [100, 200]);
+    assert.equal(result.status, 'published');
+    assert.equal(error, null);
+    assert.equal(attempts, 3);
+});
+
+test('gives up after the last retry and reports the error', async () => {
+    const { error, attempts } = await runWithRetry(() => {
+        throw new Error('boom');
+    }, { retries: 1, delayMs: 1, wait: async () => {} });
+
+    assert.equal(error.message, 'boom');
+    assert.equal(attempts, 2);
+});
+
+test('lock keeps a second run out until released', () => {
+    const lockPath = path.join(tmp(), 'run.lock');
+
+    assert.equal(acquireLock(lockPath), true);
+    assert.equal(acquireLock(lockPath), false);
+    releaseLock(lockPath);
+    assert.equal(acquireLock(lockPath), true);
+    releaseLock(lockPath);
+});
+
+test('run state counts failures until the next success', () => {
+    const statePath = path.join(tmp(), 'state.json');
+    const run = (status, finishedAt) => ({ startedAt: finishedAt, finishedAt, status, attempts: 1, error: null });
+
+    assert.deepEqual(readSchedulerState(statePath), { lastRun: null, lastSuccessAt: null, consecutiveFailures: 0 });
+    recordRun(run('published', '2026-10-16T01:00:00Z'), statePath);
+    recordRun(run('quarantined', '2026-10-16T01:30:00Z'), statePath);
+    const state = recordRun(run('failed', '2026-10-16T02:00:00Z'), statePath);
+
+    assert.equal(state.consecutiveFailures, 2);
+    assert.equal(state.lastSuccessAt, '2026-10-16T01:00:00Z');
+    assert.equal(readSchedulerState(statePath).lastRun.status, 'failed');
+});
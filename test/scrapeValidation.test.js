@@ -0,0 +1,72 @@
+/**
+ * Scrape validation tests: a clean scrape passes, and each check
+ * names the field that should keep a scrape out of the published snapshot.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateScrape } from '../lib/scrapeValidation.js';
+
+const CONTRACTS = ['LC2602', 'LC2603', 'LC2604', 'LC2605', 'LC2606', 'LC2607'];
+
+function scrape(overrides = {}) {
+    return {
+        products: {
+            carbonate: {
+                price: 23566.66,
+                priceCNY: 164500,
+                changeUSD: 862.82,
+                changeCNY: 6000,
+                changePercent: 3.8,
+                date: '2026-01-23',
+            },
+            spodumene: { price: 2130, changeUSD: 95, changePercent: 4.67, date: '2026-01-22' },
+            ...overrides.products,
+        },
+        futures: overrides.futures || CONTRACTS.map(contract => ({ contract, priceCNY: 166500 })),
+    };
+}
+
+const previous = {
+    date: '2026-01-22',
+    products: { carbonate: { price: 22703.84 }, spodumene: { price: 2035 } },
+    futures: CONTRACTS.map(contract => ({ contract, priceCNY: 160000 })),
+};
+
+const checks = (problems) => problems.map(p => `${p.check}:${p.field}`);
+
+test('clean scrape passes', () => {
+    assert.deepEqual(validateScrape(scrape(), { previous, fxRate: 6.9678 }), []);
+});
+
+test('changePercent that contradicts the change is caught', () => {
+    const carbonate = { ...scrape().products.carbonate, changePercent: -6 };
+    const problems = validateScrape(scrape({ products: { carbonate } }), { previous, fxRate: 6.9678 });
+
+    assert.deepEqual(checks(problems), [
+        'consistency:carbonate.changePercent',
+        'consistency:carbonate.changePercent',
+    ]);
+});
+
+test('CNY price that does not match USD at the FX rate is caught', () => {
+    const carbonate = { ...scrape().products.carbonate, priceCNY: 185000, changeCNY: null };
+    const problems = validateScrape(scrape({ products: { carbonate } }), { previous, fxRate: 6.9678 });
+
+    assert.deepEqual(checks(problems), ['consistency:carbonate.priceCNY']);
+});
+
+test('implausible price and day-over-day jump are caught', () => {
+    const carbonate = { ...scrape().products.carbonate, price: 235666.6, changeUSD: null, priceCNY: null };
+    const problems = validateScrape(scrape({ products: { carbonate } }), { previous });
+
+    assert.deepEqual(checks(problems), ['range:carbonate.price', 'move:carbonate.price']);
+});
+
+test('missing required product and short futures strip are caught', () => {
+    const prices = scrape({ futures: [{ contract: 'LC2602', priceCNY: 166500 }] });
+    delete prices.products.spodumene;
+    const problems = validateScrape(prices, { previous });
+
+    assert.deepEqual(checks(problems), ['required:spodumene', 'futuresCount:futures']);
+});
@@ -0,0 +1,164 @@
+/**
+ * SMM parser tests against saved page snapshots (test/fixtures/).
+ *
+ * smm-lithium-compounds-*.txt is a debug_page.txt capture of the default view.
+ * smm-lithium-ore-*.txt is the market table of the "Lithium Ore" view, trimmed
+ * to the spodumene row; replace it with a full capture when one is saved.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    parseCompoundsPage,
+    parseOrePage,
+    parseNumber,
+    parseDate,
+} from '../lib/smmParser.js';
+import { getProductsForView } from '../lib/products.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+const COMPOUNDS = fixture('smm-lithium-compounds-2026-01-23.txt');
+const ORE = fixture('smm-lithium-ore-2026-01-22.txt');
+
+/**
+ * Assert a parse produced no issues, naming every broken field on failure
+ */
+function assertNoIssues(result) {
+    const broken = result.issues.map(i => `${i.field} (${i.message})`);
+    assert.deepEqual(broken, [], `Broken fields: ${broken.join(', ')}`);
+}
+
+test('parseNumber handles thousands separators and signs', () => {
+    assert.equal(parseNumber('20,855.45'), 20855.45);
+    assert.equal(parseNumber('-124.07'), -124.07);
+    assert.equal(parseNumber('Jan 22, 2026'), null);
+    assert.equal(parseNumber(undefined), null);
+});
+
+test('parseDate converts page dates to ISO', () => {
+    assert.equal(parseDate('Jan 22, 2026'), '2026-01-22');
+    assert.equal(parseDate('Jul 5, 2025'), '2025-07-05');
+    assert.equal(parseDate('20,855.45'), null);
+});
+
+test('compounds page: battery-grade carbonate (USD)', () => {
+    const result = parseCompoundsPage(COMPOUNDS);
+    assertNoIssues(result);
+
+    assert.deepEqual(result.products.carbonate, {
+        name: 'Battery-Grade Lithium Carbonate',
+        currency: 'USD',
+        unit: 'mt',
+        low: 20411.72,
+        high: 21299.18,
+        price: 20855.45,
+        change: 763.56,
+        date: '2026-01-22',
+    });
+});
+
+test('compounds page: carbonate CNY row is optional', () => {
+    const result = parseCompoundsPage(COMPOUNDS);
+    assert.equal(result.cny.carbonate, undefined);
+    assert.ok(!result.issues.some(i => i.field.startsWith('carbonateCNY')));
+});
+
+test('compounds page: every catalog product on the view is read', () => {
+    const { products } = parseCompoundsPage(COMPOUNDS);
+    const expected = getProductsForView('compounds').map(p => p.id);
+
+    assert.deepEqual(Object.keys(products), expected);
+    assert.equal(products.hydroxide.price, 19841.2);
+    assert.equal(products.hydroxide.change, 636.66);
+    assert.equal(products.hydroxideIndex.price, 19723.17);
+    assert.equal(products.lipf6.change, -124.07);
+    assert.equal(products.lithiumSulfide.unit, 'kg');
+    assert.equal(products.lithiumSulfide.price, 247.22);
+    assert.deepEqual([products.carbonateCIF.low, products.carbonateCIF.high], [17, 22]);
+});
+
+test('compounds page: GFEX futures OHLC and quote date', () => {
+    const { futures } = parseCompoundsPage(COMPOUNDS);
+
+    assert.equal(futures.length, 12);
+    assert.deepEqual(futures[0], {
+        contract: 'LC2602',
+        priceCNY: 166500,
+        openCNY: 164160,
+        highCNY: 172540,
+        lowCNY: 161520,
+        date: '2026-01-23',
+    });
+    assert.equal(futures[11].contract, 'LC2701');
+    assert.equal(futures[11].priceCNY, 170260);
+    assert.deepEqual(
+        futures.map(f => f.contract),
+        ['LC2602', 'LC2603', 'LC2604', 'LC2605', 'LC2606', 'LC2607',
+            'LC2608', 'LC2609', 'LC2610', 'LC2611', 'LC2612', 'LC2701'],
+    );
+});
+
+test('ore page: spodumene concentrate index', () => {
+    const result = parseOrePage(ORE);
+    assertNoIssues(result);
+
+    assert.equal(result.products.spodumene.price, 2130);
+    assert.equal(result.products.spodumene.change, 95);
+    assert.equal(result.products.spodumene.date, '2026-01-22');
+});
+
+test('layout change: missing carbonate row is reported by field', () => {
+    const text = COMPOUNDS.replace('Battery-Grade Lithium Carbonate (USD/mt)', 'Battery Grade Li2CO3 (USD/mt)');
+    const result = parseCompoundsPage(text);
+
+    assert.equal(result.products.carbonate, undefined);
+    assert.deepEqual(result.issues.map(i => i.field), ['carbonate']);
+});
+
+test('layout change: shifted columns are reported by field', () => {
+    // Drop the "Avg." value line of the carbonate row so every column shifts up
+    const text = COMPOUNDS.replace('20,411.72-21,299.18\n20,855.45\n', '20,411.72-21,299.18\n');
+    const result = parseCompoundsPage(text);
+
+    assert.deepEqual(result.issues.map(i => i.field), ['carbonate.change', 'carbonate.date']);
+    assert.equal(result.products.carbonate.date, null);
+});
+
+test('layout change: unreadable futures price is reported by contract', () => {
+    const text = COMPOUNDS.replace('LC2607 (CNY/mt)\n169,780', 'LC2607 (CNY/mt)\n--');
+    const result = parseCompoundsPage(text);
+
+    assert.deepEqual(result.issues.map(i => i.field), ['futures.LC2607.priceCNY']);
+    assert.equal(result.futures.length, 11);
+});
+
+test('layout change: unreadable futures high keeps the contract', () => {
+    const text = COMPOUNDS.replace('LC2607 (CNY/mt)\n169,780\n166,580\n174,800', 'LC2607 (CNY/mt)\n169,780\n166,580\n-');
+    const result = parseCompoundsPage(text);
+    const lc2607 = result.futures.find(f => f.contract === 'LC2607');
+
+    assert.deepEqual(result.issues.map(i => i.field), ['futures.LC2607.highCNY']);
+    assert.equal(lc2607.priceCNY, 169780);
+    assert.equal(lc2607.highCNY, null);
+});
+
+test('compounds page: offshore RMB rate', () => {
+    const { fx } = parseCompoundsPage(COMPOUNDS);
+
+    assert.deepEqual(fx, { pair: 'USD/CNH', rate: 6.9678, date: '2026-01-23' });
+});
+
+test('layout change: missing GFEX block is reported', () => {
+    const text = COMPOUNDS.replace(/LC\d{4} \(CNY\/mt\)/g, 'Contract');
+    const result = parseCompoundsPage(text);
+
+    assert.ok(result.issues.some(i => i.field === 'futures'));
+});
@@ -0,0 +1,110 @@
+/**
+ * Price source tests: field-by-field merging with priority and fallback,
+ * and the file-import sources' parsers. No network or browser needed.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeSources } from '../lib/sources/index.js';
+import { parseSettlementCsv } from '../lib/sources/gfexSettlement.js';
+import { parseManualCsv } from '../lib/sources/manualCsv.js';
+import { htmlToText } from '../lib/sources/smmStatic.js';
+
+const PRIORITY = {
+    products: ['browser', 'static', 'manual'],
+    'products.spodumene': ['manual', 'browser'],
+    futures: ['browser', 'settlement'],
+    fx: ['browser', 'manual'],
+};
+
+function result(source, values = {}) {
+    return { source, error: null, products: {}, futures: [], fx: null, issues: [], ...values };
+}
+
+test('merge: highest-priority source wins each field and values are tagged', () => {
+    const merged = mergeSources([
+        result('browser', {
+            products: { carbonate: { price: 23566.66 }, spodumene: { price: 2130 } },
+            futures: [{ contract: 'LC2607', priceCNY: 169780 }],
+            fx: { pair: 'USD/CNH', rate: 6.9678, date: '2026-01-23' },
+        }),
+        result('manual', { products: { carbonate: { price: 23000 }, spodumene: { price: 2100 } } }),
+    ], PRIORITY);
+
+    assert.deepEqual(merged.products.carbonate, { price: 23566.66, source: 'browser' });
+    // Per-product override puts the manual source first for spodumene
+    assert.deepEqual(merged.products.spodumene, { price: 2100, source: 'manual' });
+    assert.deepEqual(merged.futures, [{ contract: 'LC2607', priceCNY: 169780, source: 'browser' }]);
+    assert.equal(merged.fx.source, 'browser');
+});
+
+test('merge: a failed source falls back to the next one, per contract', () => {
+    const merged = mergeSources([
+        result('browser', { error: 'net::ERR_TIMED_OUT' }),
+        result('static', { products: { carbonate: { price: 23500 } } }),
+        result('settlement', {
+            futures: [
+                { contract: 'LC2608', priceCNY: 170360 },
+                { contract: 'LC2607', priceCNY: 169800 },
+            ],
+        }),
+    ], PRIORITY);
+
+    assert.deepEqual(merged.products.carbonate, { price: 23500, source: 'static' });
+    assert.deepEqual(merged.futures.map(f => `${f.contract}:${f.source}`), ['LC2607:settlement', 'LC2608:settlement']);
+    assert.equal(merged.fx, null);
+    assert.deepEqual(merged.sources[0], {
+        source: 'browser',
+        startedAt: null,
+        finishedAt: null,
+        error: 'net::ERR_TIMED_OUT',
+        issues: [],
+        pages: [],
+    });
+});
+
+test('GFEX settlement CSV: Chinese headers, LC contracts only, settlement price', () => {
+    const csv = [
+        '交易日期,合约代码,开盘价,最高价,最低价,收盘价,结算价',
+        '20260123,lc2607,"166,580","174,800","164,980","169,780","169,120"',
+        '20260123,si2607,9000,9100,8900,9050,9040',
+    ].join('\n');
+    const { futures, issues } = parseSettlementCsv(csv);
+
+    assert.deepEqual(issues, []);
+    assert.equal(futures.length, 1);
+    assert.deepEqual(futures[0], {
+        contract: 'LC2607',
+        priceCNY: 169120,
+        priceCNYExVat: 149663.72,
+        openCNY: 166580,
+        highCNY: 174800,
+        lowCNY: 164980,
+        date: '2026-01-23',
+    });
+});
+
+test('manual CSV: products, futures and FX, ignoring stale rows', () => {
+    const csv = [
+        'field,value,date',
+        'carbonate,23100,2026-01-23',
+        'carbonate.cny,164500,2026-01-23',
+        'LC2607,169780,2026-01-23',
+        'fx,6.9712,2026-01-23',
+        'spodumene,2000,2026-01-10',
+    ].join('\n');
+    const result = parseManualCsv(csv, '2026-01-20');
+
+    assert.equal(result.products.carbonate.price, 23100);
+    assert.equal(result.products.carbonate.priceCNY, 164500);
+    assert.equal(result.products.spodumene, undefined);
+    assert.equal(result.futures[0].contract, 'LC2607');
+    assert.equal(result.fx.rate, 6.9712);
+    assert.deepEqual(result.issues.map(i => i.field), ['spodumene']);
+});
+
+test('static HTML: text nodes become page lines', () => {
+    const html = '<html><body><script>var x = 1;</script><div><span>LC2607 (CNY/mt)</span><span>169,780</span></div></body></html>';
+
+    assert.equal(htmlToText(html), 'LC2607 (CNY/mt)\n169,780');
+});
@@ -0,0 +1,56 @@
+/**
+ * VAT basis tests: 13% is added and removed symmetrically, VAT-exempt
+ * import prices are left alone, and /api/prices values follow the basis.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VAT_RATE, addVat, removeVat } from '../lib/vat.js';
+import { buildResponse } from '../lib/priceResponse.js';
+
+const FX = { rate: 7, pair: 'USD/CNY', source: 'manual', date: '2026-10-16' };
+
+const PRICES = {
+    date: '2026-10-16',
+    products: {
+        carbonate: { price: 11300, priceCNY: 79100, changeUSD: 113, changePercent: 1 },
+        spodumene: { price: 1100, changeUSD: 10, changePercent: 0.92 },
+    },
+    futures: [{ contract: 'LC2912', priceCNY: 81360, openCNY: 80230 }],
+};
+
+test('the rate is 13% on the VAT-exclusive price', () => {
+    assert.equal(VAT_RATE, 0.13);
+    assert.equal(addVat(10000), 11300);
+    assert.equal(removeVat(11300), 10000);
+    assert.equal(removeVat(null), null);
+});
+
+test('removing VAT undoes adding it, to the cent', () => {
+    [1, 99.99, 1234.56, 79100, 163450.5].forEach(value => {
+        assert.equal(removeVat(addVat(value)), value);
+    });
+});
+
+test('exempt products are the same on both bases', () => {
+    assert.equal(addVat(1100, true), 1100);
+    assert.equal(removeVat(1100, true), 1100);
+});
+
+test('ex-VAT responses strip VAT from domestic prices and futures only', () => {
+    const incl = buildResponse(PRICES, {}, FX, {}, 'incl');
+    const excl = buildResponse(PRICES, {}, FX, {}, 'excl');
+
+    assert.equal(incl.carbonate.price, 11300);
+    assert.equal(excl.carbonate.price, 10000);
+    assert.equal(excl.carbonate.priceCNY, 70000);
+    assert.equal(excl.carbonate.change, 100);
+    assert.equal(excl.carbonate.changePercent, 1);
+
+    assert.equal(excl.spodumene.price, 1100);
+    assert.equal(excl.spodumene.change, 10);
+
+    assert.equal(excl.futures[0].priceCNY, 72000);
+    assert.equal(excl.futures[0].openCNY, 71000);
+    assert.equal(excl.futures[0].price, 10286);
+});
@@ -1,7 +1,42 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Serve the serverless functions in api/ during `vite dev`,
+// with the small part of the Vercel request/response API they use
+function apiRoutes() {
+  return {
+    name: 'api-routes',
+    configureServer(server) {
+      server.middlewares.use('/api', async (req, res, next) => {
+        const url = new URL(req.url, 'http://localhost')
+        const name = url.pathname.replace(/^\/|\/$/g, '')
+        if (!/^[a-z]+$/.test(name)) return next()
+
+        let handler
+        try {
+          handler = (await server.ssrLoadModule(`/api/${name}.js`)).default
+        } catch {
+          return next()
+        }
+
+        const response = Object.assign(res, {
+          status(code) {
+            res.statusCode = code
+            return response
+          },
+          json(body) {
+            res.setHeader('Content-Type', 'application/json')
+            res.end(JSON.stringify(body))
+            return response
+          },
+        })
+        await handler({ method: req.method, headers: req.headers, query: Object.fromEntries(url.searchParams) }, response)
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), apiRoutes()],
 })